@@ -0,0 +1,30 @@
+import dayjs from 'dayjs';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Parse a YYYY-MM-DD string, returning null if it isn't a real calendar date
+export function parseDay(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text || '')) return null;
+  const day = dayjs(text);
+  return day.isValid() && day.format(DATE_FORMAT) === text ? day : null;
+}
+
+// Merge `away` lists from config.json with periods added via /chore away into
+// { [slackId]: [{ start, end }] }. Dates are inclusive YYYY-MM-DD strings.
+export function collectAwayPeriods(config, storedPeriods = []) {
+  const periods = {};
+  config.roommates.forEach(r => {
+    periods[r.slackId] = (r.away || []).map(p => ({ start: p.start, end: p.end }));
+  });
+  storedPeriods.forEach(p => {
+    if (!periods[p.slackId]) periods[p.slackId] = [];
+    periods[p.slackId].push({ start: p.startDate, end: p.endDate });
+  });
+  return periods;
+}
+
+// `date` should already be in the house timezone so the calendar day is right
+export function isAway(slackId, date, awayPeriods) {
+  const day = date.format(DATE_FORMAT);
+  return (awayPeriods[slackId] || []).some(p => p.start <= day && day <= p.end);
+}
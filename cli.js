@@ -0,0 +1,76 @@
+import dotenv from 'dotenv';
+import fs from 'fs-extra';
+import { initDatabase, closeDatabase } from './db.js';
+import { exportHistory, readHistoryFile, importHistory } from './history.js';
+import { DEFAULT_HOUSEHOLD_ID, parseHouseholds, runInHousehold } from './households.js';
+
+dotenv.config();
+
+// Keep stdout clean for `export` output; database status logs go to stderr
+console.log = console.error;
+
+const USAGE = `Usage:
+  node cli.js export [--format json|csv] [--out <file>] [--household <id>]
+  node cli.js import <file.json|file.csv> [--household <id>]`;
+
+const CONFIG_FILE = './config.json';
+
+// Imported chores land in weeks on the household's clock
+async function getHouseholdTimezone(id) {
+  const households = (await fs.pathExists(CONFIG_FILE)) ? parseHouseholds(await fs.readJson(CONFIG_FILE)) : [];
+  return households.find(h => h.id === id)?.timezone || process.env.TZ || 'America/Los_Angeles';
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, positional: [], household: DEFAULT_HOUSEHOLD_ID };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--format') options.format = rest[++i];
+    else if (rest[i] === '--out') options.out = rest[++i];
+    else if (rest[i] === '--household') options.household = rest[++i];
+    else options.positional.push(rest[i]);
+  }
+  return options;
+}
+
+async function main(options) {
+  if (options.command === 'export') {
+    const format = options.format || (options.out?.endsWith('.csv') ? 'csv' : 'json');
+    await initDatabase();
+    const output = await exportHistory(format);
+    if (options.out) {
+      await fs.writeFile(options.out, output);
+      console.error(`✅ Exported history to ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } else if (options.command === 'import') {
+    const [file] = options.positional;
+    if (!file) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    const records = await readHistoryFile(file);
+    await initDatabase();
+    const result = await importHistory(records, { timezone: await getHouseholdTimezone(options.household) });
+    if (result.errors.length > 0) {
+      console.error(`❌ ${file} has invalid records, nothing was imported:`);
+      result.errors.forEach(error => console.error(`  - ${error}`));
+      process.exitCode = 1;
+    } else {
+      console.error(`✅ Imported ${result.imported} assignments (${result.skipped} duplicates skipped)`);
+    }
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await closeDatabase();
+}
+
+// History belongs to one household; the original one unless --household says otherwise
+const options = parseArgs(process.argv.slice(2));
+runInHousehold({ id: options.household }, () => main(options)).catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
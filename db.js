@@ -0,0 +1,1145 @@
+import sqlite3 from 'sqlite3';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { currentHouseholdId, DEFAULT_HOUSEHOLD_ID } from './households.js';
+import { formatWeek } from './periods.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+let db;
+
+// Initialize SQLite database. The path is read at call time so a .env loaded
+// by the entry point is honoured.
+export async function initDatabase(dbPath = process.env.DATABASE_URL || './chores.db') {
+  await new Promise((resolve, reject) => {
+    db = new sqlite3.Database(dbPath, (err) => {
+      if (err) {
+        console.error('Error opening database:', err);
+        reject(err);
+        return;
+      }
+      console.log('✅ Connected to SQLite database');
+      resolve();
+    });
+  });
+
+  await runMigrations();
+  console.log('✅ Database table ready');
+}
+
+// Ordered schema migrations. Each step runs once inside a transaction and is
+// recorded in schema_version, so only new steps are applied on startup.
+// Never edit a step that has shipped - append a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create chore_assignments table',
+    up: async () => {
+      // Original schema, kept as-is so databases created by earlier deploys
+      // and fresh ones go through the same upgrade path
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS chore_assignments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          month TEXT NOT NULL,
+          week TEXT NOT NULL,
+          chore TEXT NOT NULL,
+          assigned_to TEXT NOT NULL,
+          assignee_names TEXT NOT NULL,
+          date TEXT NOT NULL,
+          due_date TEXT,
+          completed BOOLEAN DEFAULT FALSE,
+          completed_by TEXT DEFAULT '',
+          completed_date TEXT,
+          is_shared BOOLEAN DEFAULT FALSE,
+          triggered_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Rename chore_assignments columns to the camelCase names the bot reads and writes',
+    up: async () => {
+      // Older databases may have snake_case columns, camelCase columns or a mix
+      // of both, so rebuild the table and copy whichever variant holds the data
+      const existingColumns = new Set(
+        (await dbAll('PRAGMA table_info(chore_assignments)')).map(c => c.name)
+      );
+      const columnMap = [
+        ['id', []],
+        ['month', []],
+        ['week', []],
+        ['chore', []],
+        ['assignedTo', ['assigned_to']],
+        ['assigneeNames', ['assignee_names']],
+        ['date', []],
+        ['dueDate', ['due_date']],
+        ['completed', []],
+        ['completedBy', ['completed_by']],
+        ['completedDate', ['completed_date']],
+        ['isShared', ['is_shared']],
+        ['creditPerPerson', ['credit_per_person']],
+        ['triggeredBy', ['triggered_by']],
+        ['createdAt', ['created_at']]
+      ];
+
+      const targetColumns = [];
+      const sourceExpressions = [];
+      columnMap.forEach(([column, aliases]) => {
+        const sources = [column, ...aliases].filter(name => existingColumns.has(name));
+        if (sources.length === 0) return;
+        targetColumns.push(column);
+        sourceExpressions.push(sources.length === 1 ? sources[0] : `COALESCE(${sources.join(', ')})`);
+      });
+
+      await dbRun(`
+        CREATE TABLE chore_assignments_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          month TEXT NOT NULL,
+          week TEXT NOT NULL,
+          chore TEXT NOT NULL,
+          assignedTo TEXT NOT NULL,
+          assigneeNames TEXT NOT NULL,
+          date TEXT NOT NULL,
+          dueDate TEXT,
+          completed BOOLEAN DEFAULT FALSE,
+          completedBy TEXT DEFAULT '[]',
+          completedDate TEXT,
+          isShared BOOLEAN DEFAULT FALSE,
+          creditPerPerson REAL DEFAULT 1.0,
+          triggeredBy TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await dbRun(`
+        INSERT INTO chore_assignments_new (${targetColumns.join(', ')})
+        SELECT ${sourceExpressions.join(', ')} FROM chore_assignments
+      `);
+      await dbRun('DROP TABLE chore_assignments');
+      await dbRun('ALTER TABLE chore_assignments_new RENAME TO chore_assignments');
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_chore_assignments_week ON chore_assignments (week)');
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_chore_assignments_month ON chore_assignments (month)');
+    }
+  },
+  {
+    version: 3,
+    description: 'Create away_periods table',
+    up: async () => {
+      await dbRun(`
+        CREATE TABLE away_periods (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          slackId TEXT NOT NULL,
+          startDate TEXT NOT NULL,
+          endDate TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await dbRun('CREATE INDEX idx_away_periods_slack_id ON away_periods (slackId)');
+    }
+  },
+  {
+    version: 4,
+    description: 'Create swap_requests, audit_log and weekly_posts tables',
+    up: async () => {
+      await dbRun(`
+        CREATE TABLE swap_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          assignmentId INTEGER NOT NULL,
+          fromUser TEXT NOT NULL,
+          toUser TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          resolvedAt DATETIME
+        )
+      `);
+      await dbRun(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          actor TEXT,
+          assignmentId INTEGER,
+          details TEXT NOT NULL DEFAULT '{}',
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await dbRun('CREATE INDEX idx_audit_log_assignment_id ON audit_log (assignmentId)');
+      // Slack message timestamp of each week's assignment post, for threading
+      await dbRun(`
+        CREATE TABLE weekly_posts (
+          week TEXT PRIMARY KEY,
+          channel TEXT NOT NULL,
+          ts TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'Create overdue_escalations and fairness_adjustments tables',
+    up: async () => {
+      // One row per assignment and stage, so a stage can never fire twice
+      await dbRun(`
+        CREATE TABLE overdue_escalations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          assignmentId INTEGER NOT NULL,
+          stage TEXT NOT NULL,
+          action TEXT NOT NULL,
+          skipped BOOLEAN DEFAULT FALSE,
+          firedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (assignmentId, stage)
+        )
+      `);
+      await dbRun(`
+        CREATE TABLE fairness_adjustments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          slackId TEXT NOT NULL,
+          points REAL NOT NULL,
+          reason TEXT NOT NULL,
+          assignmentId INTEGER,
+          month TEXT NOT NULL,
+          date TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'Create reminders ledger',
+    up: async () => {
+      // One row per assignment, person, lead time and due date. Changing the
+      // due date (e.g. after a reassignment) creates fresh rows.
+      await dbRun(`
+        CREATE TABLE reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          assignmentId INTEGER NOT NULL,
+          slackId TEXT NOT NULL,
+          leadMinutes INTEGER NOT NULL,
+          dueDate TEXT NOT NULL,
+          sendAt TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          sentAt DATETIME,
+          UNIQUE (assignmentId, slackId, leadMinutes, dueDate)
+        )
+      `);
+      await dbRun('CREATE INDEX idx_reminders_status_send_at ON reminders (status, sendAt)');
+    }
+  },
+  {
+    version: 7,
+    description: 'Create roster_overrides table for /chore admin',
+    up: async () => {
+      // Roommates (keyed by slackId) and chores (keyed by title) added, edited
+      // or removed at runtime. `settings` holds the whole entry as JSON and is
+      // NULL for removals.
+      await dbRun(`
+        CREATE TABLE roster_overrides (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          kind TEXT NOT NULL,
+          key TEXT NOT NULL,
+          settings TEXT,
+          updatedBy TEXT,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (kind, key)
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    description: 'Keep rotation reasons and record weekly celebrations',
+    up: async () => {
+      // The weekly post is redrawn from the database, so the "Why" line has to be stored
+      await dbRun('ALTER TABLE chore_assignments ADD COLUMN rotationReason TEXT');
+      // One row per week once the board is all done, so the celebration posts once
+      await dbRun(`
+        CREATE TABLE weekly_celebrations (
+          week TEXT PRIMARY KEY,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Add photo proof and verification to chore_assignments',
+    up: async () => {
+      // verificationStatus: NULL (not needed), 'pending', 'verified' or 'rejected'.
+      // A chore waiting for verification is not completed yet.
+      await dbRun("ALTER TABLE chore_assignments ADD COLUMN proofFiles TEXT DEFAULT '[]'");
+      await dbRun('ALTER TABLE chore_assignments ADD COLUMN verificationStatus TEXT');
+      await dbRun('ALTER TABLE chore_assignments ADD COLUMN verifier TEXT');
+    }
+  },
+  {
+    version: 10,
+    description: 'Make audit_log append-only',
+    up: async () => {
+      // audit_log is the activity feed behind /chore log; corrections are new
+      // entries, never edits
+      await dbRun(`
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+      await dbRun(`
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Scope data by household',
+    up: async () => {
+      // Everything that existed before belongs to the original household.
+      // Reminders, escalations and swaps hang off an assignment, so they
+      // follow its household.
+      for (const table of ['chore_assignments', 'away_periods', 'audit_log', 'fairness_adjustments']) {
+        await dbRun(`ALTER TABLE ${table} ADD COLUMN householdId TEXT NOT NULL DEFAULT '${DEFAULT_HOUSEHOLD_ID}'`);
+        await dbRun(`CREATE INDEX idx_${table}_household_id ON ${table} (householdId)`);
+      }
+      
+      // Tables keyed by week or name need the household in their key
+      await dbRun('ALTER TABLE weekly_posts RENAME TO weekly_posts_old');
+      await dbRun(`
+        CREATE TABLE weekly_posts (
+          householdId TEXT NOT NULL,
+          week TEXT NOT NULL,
+          channel TEXT NOT NULL,
+          ts TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (householdId, week)
+        )
+      `);
+      await dbRun(`
+        INSERT INTO weekly_posts (householdId, week, channel, ts, createdAt)
+        SELECT '${DEFAULT_HOUSEHOLD_ID}', week, channel, ts, createdAt FROM weekly_posts_old
+      `);
+      await dbRun('DROP TABLE weekly_posts_old');
+      
+      await dbRun('ALTER TABLE weekly_celebrations RENAME TO weekly_celebrations_old');
+      await dbRun(`
+        CREATE TABLE weekly_celebrations (
+          householdId TEXT NOT NULL,
+          week TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (householdId, week)
+        )
+      `);
+      await dbRun(`
+        INSERT INTO weekly_celebrations (householdId, week, createdAt)
+        SELECT '${DEFAULT_HOUSEHOLD_ID}', week, createdAt FROM weekly_celebrations_old
+      `);
+      await dbRun('DROP TABLE weekly_celebrations_old');
+      
+      await dbRun('ALTER TABLE roster_overrides RENAME TO roster_overrides_old');
+      await dbRun(`
+        CREATE TABLE roster_overrides (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          householdId TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          key TEXT NOT NULL,
+          settings TEXT,
+          updatedBy TEXT,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (householdId, kind, key)
+        )
+      `);
+      await dbRun(`
+        INSERT INTO roster_overrides (id, householdId, kind, key, settings, updatedBy, updatedAt)
+        SELECT id, '${DEFAULT_HOUSEHOLD_ID}', kind, key, settings, updatedBy, updatedAt FROM roster_overrides_old
+      `);
+      await dbRun('DROP TABLE roster_overrides_old');
+    }
+  },
+  {
+    version: 12,
+    description: 'Create assignment_drafts for previewing assignments before they are published',
+    up: async () => {
+      await dbRun(`
+        CREATE TABLE assignment_drafts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          householdId TEXT NOT NULL,
+          week TEXT NOT NULL,
+          items TEXT NOT NULL,
+          previews TEXT NOT NULL DEFAULT '[]',
+          status TEXT NOT NULL DEFAULT 'draft',
+          createdBy TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          publishedBy TEXT,
+          publishedAt DATETIME
+        )
+      `);
+      await dbRun('CREATE INDEX idx_assignment_drafts_household_week ON assignment_drafts (householdId, week)');
+    }
+  },
+  {
+    version: 13,
+    description: 'Create bounties for the chore marketplace',
+    up: async () => {
+      // assignmentId is null for a manual chore nobody has yet
+      await dbRun(`
+        CREATE TABLE bounties (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          householdId TEXT NOT NULL,
+          chore TEXT NOT NULL,
+          assignmentId INTEGER,
+          postedBy TEXT NOT NULL,
+          points REAL NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          claimedBy TEXT,
+          channel TEXT,
+          ts TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          resolvedAt DATETIME
+        )
+      `);
+      await dbRun('CREATE INDEX idx_bounties_household_status ON bounties (householdId, status)');
+      // Bounty payouts are fairness adjustments, one per side
+      await dbRun('ALTER TABLE fairness_adjustments ADD COLUMN bountyId INTEGER');
+    }
+  },
+  {
+    version: 14,
+    description: 'Create badges and monthly_recaps for the monthly recap',
+    up: async () => {
+      // month is the history label, e.g. 2025-M08; one of each badge per month
+      await dbRun(`
+        CREATE TABLE badges (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          householdId TEXT NOT NULL,
+          slackId TEXT NOT NULL,
+          month TEXT NOT NULL,
+          badge TEXT NOT NULL,
+          detail TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (householdId, slackId, month, badge)
+        )
+      `);
+      await dbRun(`
+        CREATE TABLE monthly_recaps (
+          householdId TEXT NOT NULL,
+          month TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (householdId, month)
+        )
+      `);
+    }
+  },
+  {
+    version: 15,
+    description: 'Relabel weeks as ISO weeks',
+    up: async () => {
+      // Weeks used to be "calendar year + Sunday-based week number", which
+      // disagrees with ISO weeks on Sundays and around New Year. Those rows
+      // predate households, so they're all in the default one, on the TZ clock.
+      const tz = process.env.TZ || 'America/Los_Angeles';
+      const rows = await dbAll('SELECT id, week, date, dueDate FROM chore_assignments WHERE householdId = ?', [
+        DEFAULT_HOUSEHOLD_ID
+      ]);
+      
+      // Weekly posts and celebrations only have the label, so they follow
+      // where most of that week's chores ended up
+      const moves = {};
+      for (const row of rows) {
+        const week = formatWeek(dayjs(row.dueDate || row.date).tz(tz));
+        if (week !== row.week) {
+          await dbRun('UPDATE chore_assignments SET week = ? WHERE id = ?', [week, row.id]);
+        }
+        moves[row.week] = moves[row.week] || {};
+        moves[row.week][week] = (moves[row.week][week] || 0) + 1;
+      }
+      const relabel = week => {
+        const targets = Object.entries(moves[week] || {}).sort((a, b) => b[1] - a[1]);
+        return targets.length > 0 ? targets[0][0] : week;
+      };
+      
+      // Rewrite whole tables so one week moving into another's old label can't collide
+      for (const table of ['weekly_posts', 'weekly_celebrations']) {
+        const entries = await dbAll(`SELECT * FROM ${table} WHERE householdId = ? ORDER BY createdAt DESC`, [
+          DEFAULT_HOUSEHOLD_ID
+        ]);
+        await dbRun(`DELETE FROM ${table} WHERE householdId = ?`, [DEFAULT_HOUSEHOLD_ID]);
+        for (const entry of entries) {
+          const columns = Object.keys(entry);
+          await dbRun(`INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => (column === 'week' ? relabel(entry.week) : entry[column])));
+        }
+      }
+    }
+  }
+];
+
+async function runMigrations() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const rows = await dbAll('SELECT MAX(version) as version FROM schema_version');
+  const currentVersion = rows[0].version || 0;
+  const pending = MIGRATIONS
+    .filter(m => m.version > currentVersion)
+    .sort((a, b) => a.version - b.version);
+
+  if (pending.length === 0) {
+    console.log(`Database schema is up to date (version ${currentVersion})`);
+    return;
+  }
+
+  for (const migration of pending) {
+    try {
+      await dbRun('BEGIN TRANSACTION');
+      await migration.up();
+      await dbRun('INSERT INTO schema_version (version, description) VALUES (?, ?)', [
+        migration.version,
+        migration.description
+      ]);
+      await dbRun('COMMIT');
+      console.log(`✅ Applied migration ${migration.version}: ${migration.description}`);
+    } catch (error) {
+      console.error(`Error applying migration ${migration.version}:`, error);
+      await dbRun('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+}
+
+export function closeDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!db) {
+      resolve();
+      return;
+    }
+    db.close((err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+// Promisify database methods
+export const dbAll = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+export const dbRun = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function(err) {
+      if (err) reject(err);
+      else resolve({ id: this.lastID, changes: this.changes });
+    });
+  });
+};
+
+export async function loadHistory() {
+  try {
+    const rows = await dbAll('SELECT * FROM chore_assignments WHERE householdId = ? ORDER BY date DESC', [currentHouseholdId()]);
+    
+    // Convert database rows to the format expected by existing code
+    return rows.map(row => {
+      // Handle both JSON array format and single string format for compatibility
+      let assignedTo, assigneeNames, completedBy;
+      
+      try {
+        assignedTo = JSON.parse(row.assignedTo);
+      } catch {
+        assignedTo = [row.assignedTo]; // Single string, convert to array
+      }
+      
+      try {
+        assigneeNames = JSON.parse(row.assigneeNames);  
+      } catch {
+        assigneeNames = [row.assigneeNames]; // Single string, convert to array
+      }
+      
+      try {
+        completedBy = row.completedBy ? JSON.parse(row.completedBy) : [];
+      } catch {
+        completedBy = row.completedBy ? [row.completedBy] : [];
+      }
+      
+      return {
+        id: row.id,
+        month: row.month,
+        week: row.week,
+        chore: row.chore,
+        assignedTo,
+        assigneeNames,
+        date: row.date,
+        dueDate: row.dueDate,
+        completed: Boolean(row.completed),
+        completedBy,
+        completedDate: row.completedDate,
+        isShared: Boolean(row.isShared),
+        creditPerPerson: row.creditPerPerson || 1.0,
+        rotationReason: row.rotationReason,
+        triggeredBy: row.triggeredBy,
+        proofFiles: row.proofFiles ? JSON.parse(row.proofFiles) : [],
+        verificationStatus: row.verificationStatus,
+        verifier: row.verifier
+      };
+    });
+  } catch (error) {
+    console.error('Error loading history from database:', error);
+    return [];
+  }
+}
+
+// Listeners called with the Slack IDs and weeks involved whenever an
+// assignment is saved or updated, e.g. to refresh App Home and weekly posts
+const assignmentListeners = [];
+
+export function onAssignmentsChanged(listener) {
+  assignmentListeners.push(listener);
+}
+
+function notifyAssignmentsChanged(slackIds, weeks) {
+  const uniqueIds = [...new Set(slackIds.filter(Boolean))];
+  const uniqueWeeks = [...new Set(weeks.filter(Boolean))];
+  assignmentListeners.forEach(listener => {
+    try {
+      listener(uniqueIds, uniqueWeeks);
+    } catch (error) {
+      console.error('Error in assignment listener:', error);
+    }
+  });
+}
+
+function parseAssignees(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return [value];
+  }
+}
+
+// Returns the new row's id
+export async function saveAssignment(assignment) {
+  try {
+    const result = await dbRun(`
+      INSERT INTO chore_assignments (
+        month, week, chore, assignedTo, assigneeNames, date, dueDate, 
+        completed, completedBy, completedDate, isShared, creditPerPerson, rotationReason, triggeredBy, householdId
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      assignment.month,
+      assignment.week,
+      assignment.chore,
+      JSON.stringify(assignment.assignedTo),
+      JSON.stringify(assignment.assigneeNames),
+      assignment.date,
+      assignment.dueDate,
+      assignment.completed ? 1 : 0,
+      JSON.stringify(assignment.completedBy || []),
+      assignment.completedDate,
+      assignment.isShared ? 1 : 0,
+      assignment.creditPerPerson || (assignment.isShared ? 0.5 : 1.0),
+      assignment.rotationReason || null,
+      assignment.triggeredBy || null,
+      currentHouseholdId()
+    ]);
+    notifyAssignmentsChanged([].concat(assignment.assignedTo), [assignment.week]);
+    return result.id;
+  } catch (error) {
+    console.error('Error saving assignment:', error);
+    throw error;
+  }
+}
+
+export async function updateAssignment(id, updates) {
+  try {
+    const setParts = [];
+    const values = [];
+    
+    Object.keys(updates).forEach(key => {
+      if (key === 'completedBy' || key === 'assignedTo' || key === 'assigneeNames' || key === 'proofFiles') {
+        setParts.push(`${key} = ?`);
+        values.push(JSON.stringify(updates[key]));
+      } else if (key === 'completed' || key === 'isShared') {
+        setParts.push(`${key} = ?`);
+        values.push(updates[key] ? 1 : 0);
+      } else {
+        setParts.push(`${key} = ?`);
+        values.push(updates[key]);
+      }
+    });
+    
+    values.push(id, currentHouseholdId());
+    
+    // Previous assignees are affected too, e.g. after a swap
+    const [before] = await dbAll('SELECT assignedTo, week FROM chore_assignments WHERE id = ? AND householdId = ?', [id, currentHouseholdId()]);
+    
+    await dbRun(`
+      UPDATE chore_assignments 
+      SET ${setParts.join(', ')}
+      WHERE id = ? AND householdId = ?
+    `, values);
+    
+    notifyAssignmentsChanged([
+      ...(before ? parseAssignees(before.assignedTo) : []),
+      ...(updates.assignedTo || [])
+    ], [before?.week]);
+  } catch (error) {
+    console.error('Error updating assignment:', error);
+    throw error;
+  }
+}
+
+// Remove an assignment row entirely (admin corrections). Reminders and
+// escalations for it are skipped once the row is gone.
+export async function deleteAssignment(id) {
+  try {
+    const [before] = await dbAll('SELECT assignedTo, week FROM chore_assignments WHERE id = ? AND householdId = ?', [id, currentHouseholdId()]);
+    if (!before) return false;
+    
+    await dbRun('DELETE FROM chore_assignments WHERE id = ? AND householdId = ?', [id, currentHouseholdId()]);
+    notifyAssignmentsChanged(parseAssignees(before.assignedTo), [before.week]);
+    return true;
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    throw error;
+  }
+}
+
+// Away periods added at runtime via /chore away (config.json can list more)
+export async function loadAwayPeriods() {
+  try {
+    return await dbAll('SELECT * FROM away_periods WHERE householdId = ? ORDER BY startDate', [currentHouseholdId()]);
+  } catch (error) {
+    console.error('Error loading away periods:', error);
+    return [];
+  }
+}
+
+export async function saveAwayPeriod(slackId, startDate, endDate) {
+  try {
+    await dbRun('INSERT INTO away_periods (slackId, startDate, endDate, householdId) VALUES (?, ?, ?, ?)', [
+      slackId,
+      startDate,
+      endDate,
+      currentHouseholdId()
+    ]);
+  } catch (error) {
+    console.error('Error saving away period:', error);
+    throw error;
+  }
+}
+
+// Remove a roommate's periods that haven't ended before `fromDate`
+export async function deleteAwayPeriods(slackId, fromDate) {
+  try {
+    const result = await dbRun('DELETE FROM away_periods WHERE slackId = ? AND endDate >= ? AND householdId = ?', [
+      slackId,
+      fromDate,
+      currentHouseholdId()
+    ]);
+    return result.changes;
+  } catch (error) {
+    console.error('Error deleting away periods:', error);
+    throw error;
+  }
+}
+
+export async function createSwapRequest(assignmentId, fromUser, toUser) {
+  try {
+    const result = await dbRun('INSERT INTO swap_requests (assignmentId, fromUser, toUser) VALUES (?, ?, ?)', [
+      assignmentId,
+      fromUser,
+      toUser
+    ]);
+    return result.id;
+  } catch (error) {
+    console.error('Error creating swap request:', error);
+    throw error;
+  }
+}
+
+export async function getSwapRequest(id) {
+  const rows = await dbAll('SELECT * FROM swap_requests WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+// Only moves a request out of 'pending', so a double-click can't resolve it twice
+export async function resolveSwapRequest(id, status) {
+  try {
+    const result = await dbRun(`
+      UPDATE swap_requests
+      SET status = ?, resolvedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [status, id]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error resolving swap request:', error);
+    throw error;
+  }
+}
+
+export async function recordAudit(action, actor, assignmentId = null, details = {}) {
+  try {
+    await dbRun('INSERT INTO audit_log (action, actor, assignmentId, details, householdId) VALUES (?, ?, ?, ?, ?)', [
+      action,
+      actor,
+      assignmentId,
+      JSON.stringify(details),
+      currentHouseholdId()
+    ]);
+  } catch (error) {
+    // Auditing should never break the action being audited
+    console.error('Error recording audit entry:', error);
+  }
+}
+
+// Audit entries, newest first. Filter by assignment, actor, action and/or
+// `since` (an ISO timestamp).
+export async function loadAuditLog({ assignmentId, actor, action, since, limit = 20 } = {}) {
+  const conditions = ['householdId = ?'];
+  const params = [currentHouseholdId()];
+  if (assignmentId !== undefined) {
+    conditions.push('assignmentId = ?');
+    params.push(assignmentId);
+  }
+  if (actor !== undefined) {
+    conditions.push('actor = ?');
+    params.push(actor);
+  }
+  if (action !== undefined) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (since !== undefined) {
+    // createdAt is SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+    conditions.push('createdAt >= ?');
+    params.push(since.replace('T', ' ').replace(/\.\d+Z$|Z$/, ''));
+  }
+  
+  const rows = await dbAll(`
+    SELECT * FROM audit_log
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...params, limit]);
+  return rows.map(row => ({ ...row, details: JSON.parse(row.details || '{}') }));
+}
+
+export async function saveWeeklyPost(week, channel, ts) {
+  try {
+    await dbRun('INSERT OR REPLACE INTO weekly_posts (householdId, week, channel, ts) VALUES (?, ?, ?, ?)', [
+      currentHouseholdId(),
+      week,
+      channel,
+      ts
+    ]);
+  } catch (error) {
+    console.error('Error saving weekly post:', error);
+  }
+}
+
+export async function getWeeklyPost(week) {
+  const rows = await dbAll('SELECT * FROM weekly_posts WHERE householdId = ? AND week = ?', [currentHouseholdId(), week]);
+  return rows[0] || null;
+}
+
+// Returns true only the first time a week is claimed, even across restarts
+export async function claimWeeklyCelebration(week) {
+  try {
+    const result = await dbRun('INSERT OR IGNORE INTO weekly_celebrations (householdId, week) VALUES (?, ?)', [
+      currentHouseholdId(),
+      week
+    ]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error recording weekly celebration:', error);
+    throw error;
+  }
+}
+
+export async function loadEscalations(assignmentId) {
+  return dbAll('SELECT * FROM overdue_escalations WHERE assignmentId = ?', [assignmentId]);
+}
+
+// Claim a stage before acting on it. Returns false if it was already recorded.
+export async function claimEscalation(assignmentId, stage, action, skipped = false) {
+  try {
+    const result = await dbRun(`
+      INSERT OR IGNORE INTO overdue_escalations (assignmentId, stage, action, skipped)
+      VALUES (?, ?, ?, ?)
+    `, [assignmentId, stage, action, skipped ? 1 : 0]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error recording overdue escalation:', error);
+    throw error;
+  }
+}
+
+export async function loadFairnessAdjustments() {
+  try {
+    return await dbAll('SELECT * FROM fairness_adjustments WHERE householdId = ? ORDER BY date', [currentHouseholdId()]);
+  } catch (error) {
+    console.error('Error loading fairness adjustments:', error);
+    return [];
+  }
+}
+
+// `points` are added to the roommate's fairness balance; negative points make
+// them more likely to be picked next
+export async function saveFairnessAdjustment(adjustment) {
+  try {
+    await dbRun(`
+      INSERT INTO fairness_adjustments (slackId, points, reason, assignmentId, bountyId, month, date, householdId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      adjustment.slackId,
+      adjustment.points,
+      adjustment.reason,
+      adjustment.assignmentId ?? null,
+      adjustment.bountyId ?? null,
+      adjustment.month,
+      adjustment.date,
+      currentHouseholdId()
+    ]);
+  } catch (error) {
+    console.error('Error saving fairness adjustment:', error);
+    throw error;
+  }
+}
+
+// Add a pending reminder unless the same one is already in the ledger
+export async function scheduleReminder(reminder) {
+  try {
+    await dbRun(`
+      INSERT OR IGNORE INTO reminders (assignmentId, slackId, leadMinutes, dueDate, sendAt)
+      VALUES (?, ?, ?, ?, ?)
+    `, [reminder.assignmentId, reminder.slackId, reminder.leadMinutes, reminder.dueDate, reminder.sendAt]);
+  } catch (error) {
+    console.error('Error scheduling reminder:', error);
+    throw error;
+  }
+}
+
+// Pending reminders whose send time has passed (including ones missed while
+// the bot was down), for the current household's assignments
+export async function loadDueReminders(now) {
+  return dbAll(`
+    SELECT reminders.* FROM reminders
+    JOIN chore_assignments ON chore_assignments.id = reminders.assignmentId
+    WHERE reminders.status = 'pending' AND reminders.sendAt <= ? AND chore_assignments.householdId = ?
+    ORDER BY reminders.sendAt
+  `, [now, currentHouseholdId()]);
+}
+
+// Move a reminder out of 'pending'. Returns false if another run already did,
+// so each reminder is sent at most once even across restarts.
+export async function markReminder(id, status) {
+  try {
+    const result = await dbRun(`
+      UPDATE reminders
+      SET status = ?, sentAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [status, id]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating reminder:', error);
+    throw error;
+  }
+}
+
+// Push a pending reminder back, e.g. out of someone's quiet hours
+export async function deferReminder(id, sendAt) {
+  try {
+    await dbRun("UPDATE reminders SET sendAt = ? WHERE id = ? AND status = 'pending'", [sendAt, id]);
+  } catch (error) {
+    console.error('Error deferring reminder:', error);
+    throw error;
+  }
+}
+
+export async function loadRosterOverrides() {
+  const rows = await dbAll('SELECT * FROM roster_overrides WHERE householdId = ? ORDER BY id', [currentHouseholdId()]);
+  return rows.map(row => ({
+    kind: row.kind,
+    key: row.key,
+    settings: row.settings ? JSON.parse(row.settings) : null
+  }));
+}
+
+// Store the new version of a roommate or chore (null settings removes it)
+export async function saveRosterOverride(kind, key, settings, updatedBy) {
+  try {
+    await dbRun(`
+      INSERT INTO roster_overrides (householdId, kind, key, settings, updatedBy)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (householdId, kind, key) DO UPDATE SET
+        settings = excluded.settings,
+        updatedBy = excluded.updatedBy,
+        updatedAt = CURRENT_TIMESTAMP
+    `, [currentHouseholdId(), kind, key, settings ? JSON.stringify(settings) : null, updatedBy]);
+  } catch (error) {
+    console.error('Error saving roster change:', error);
+    throw error;
+  }
+}
+
+function parseDraft(row) {
+  return row ? { ...row, items: JSON.parse(row.items), previews: JSON.parse(row.previews) } : null;
+}
+
+// A proposed set of assignments for a week. Nothing reaches chore_assignments
+// until it's published.
+export async function createDraft(week, items, createdBy) {
+  try {
+    const result = await dbRun('INSERT INTO assignment_drafts (householdId, week, items, createdBy) VALUES (?, ?, ?, ?)', [
+      currentHouseholdId(),
+      week,
+      JSON.stringify(items),
+      createdBy
+    ]);
+    return result.id;
+  } catch (error) {
+    console.error('Error creating assignment draft:', error);
+    throw error;
+  }
+}
+
+export async function getDraft(id) {
+  const rows = await dbAll('SELECT * FROM assignment_drafts WHERE id = ? AND householdId = ?', [id, currentHouseholdId()]);
+  return parseDraft(rows[0]);
+}
+
+// The newest draft for a week that nobody has published yet
+export async function getOpenDraft(week) {
+  const rows = await dbAll(`
+    SELECT * FROM assignment_drafts
+    WHERE householdId = ? AND week = ? AND status = 'draft'
+    ORDER BY id DESC
+    LIMIT 1
+  `, [currentHouseholdId(), week]);
+  return parseDraft(rows[0]);
+}
+
+// Update items, previews (the DMs showing it) and/or publish details
+export async function updateDraft(id, updates) {
+  const fields = { ...updates };
+  if (fields.items) fields.items = JSON.stringify(fields.items);
+  if (fields.previews) fields.previews = JSON.stringify(fields.previews);
+  
+  try {
+    const columns = Object.keys(fields);
+    await dbRun(`
+      UPDATE assignment_drafts
+      SET ${columns.map(column => `${column} = ?`).join(', ')}
+      WHERE id = ? AND householdId = ?
+    `, [...columns.map(column => fields[column]), id, currentHouseholdId()]);
+  } catch (error) {
+    console.error('Error updating assignment draft:', error);
+    throw error;
+  }
+}
+
+export async function createBounty({ chore, assignmentId, postedBy, points }) {
+  try {
+    const result = await dbRun(`
+      INSERT INTO bounties (householdId, chore, assignmentId, postedBy, points)
+      VALUES (?, ?, ?, ?, ?)
+    `, [currentHouseholdId(), chore, assignmentId ?? null, postedBy, points]);
+    return result.id;
+  } catch (error) {
+    console.error('Error creating bounty:', error);
+    throw error;
+  }
+}
+
+export async function getBounty(id) {
+  const rows = await dbAll('SELECT * FROM bounties WHERE id = ? AND householdId = ?', [id, currentHouseholdId()]);
+  return rows[0] || null;
+}
+
+export async function loadOpenBounties() {
+  return dbAll("SELECT * FROM bounties WHERE householdId = ? AND status = 'open' ORDER BY id", [currentHouseholdId()]);
+}
+
+// Where the channel post for a bounty is, so it can be updated later
+export async function setBountyMessage(id, channel, ts) {
+  try {
+    await dbRun('UPDATE bounties SET channel = ?, ts = ? WHERE id = ?', [channel, ts, id]);
+  } catch (error) {
+    console.error('Error saving bounty message:', error);
+  }
+}
+
+// Only moves a bounty out of 'open', so two people can't both claim it
+export async function resolveBounty(id, status, claimedBy = null) {
+  try {
+    const result = await dbRun(`
+      UPDATE bounties
+      SET status = ?, claimedBy = ?, resolvedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND householdId = ? AND status = 'open'
+    `, [status, claimedBy, id, currentHouseholdId()]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error resolving bounty:', error);
+    throw error;
+  }
+}
+
+// Returns true only the first time a month's recap is claimed, even across restarts
+export async function claimMonthlyRecap(month) {
+  try {
+    const result = await dbRun('INSERT OR IGNORE INTO monthly_recaps (householdId, month) VALUES (?, ?)', [
+      currentHouseholdId(),
+      month
+    ]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error recording monthly recap:', error);
+    throw error;
+  }
+}
+
+// Give a claimed month back, e.g. when its recap couldn't be posted
+export async function releaseMonthlyRecap(month) {
+  try {
+    await dbRun('DELETE FROM monthly_recaps WHERE householdId = ? AND month = ?', [currentHouseholdId(), month]);
+  } catch (error) {
+    console.error('Error releasing monthly recap:', error);
+  }
+}
+
+// Badges are awarded once per person, month and kind
+export async function saveBadges(badges) {
+  try {
+    for (const badge of badges) {
+      await dbRun('INSERT OR IGNORE INTO badges (householdId, slackId, month, badge, detail) VALUES (?, ?, ?, ?, ?)', [
+        currentHouseholdId(),
+        badge.slackId,
+        badge.month,
+        badge.badge,
+        badge.detail ?? null
+      ]);
+    }
+  } catch (error) {
+    console.error('Error saving badges:', error);
+    throw error;
+  }
+}
+
+// A roommate's badges, newest month first
+export async function loadBadges(slackId) {
+  return dbAll('SELECT * FROM badges WHERE householdId = ? AND slackId = ? ORDER BY month DESC, id', [
+    currentHouseholdId(),
+    slackId
+  ]);
+}
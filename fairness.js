@@ -0,0 +1,263 @@
+import dayjs from 'dayjs';
+import { isAway } from './availability.js';
+
+// Defaults for the `fairness` block in config.json
+export const DEFAULT_FAIRNESS = {
+  mode: 'rolling',
+  windowWeeks: 4,
+  halfLifeWeeks: 4
+};
+
+// Lookback modes. Each returns how much a history entry still counts (0..1),
+// so adding a new mode is just another entry here. `now` is in the house TZ.
+// lookbackDays bounds the span used to pro-rate balances for time spent away.
+export const FAIRNESS_MODES = {
+  // Legacy behaviour: only the current calendar month counts
+  month: {
+    describe: () => 'this calendar month',
+    lookbackDays: (settings, now) => now.date(),
+    factor: (h, now) => (h.month === now.format('YYYY-[M]MM') ? 1 : 0)
+  },
+  // Everything in the last N weeks counts fully, older work is forgotten
+  rolling: {
+    describe: settings => `last ${settings.windowWeeks} weeks`,
+    lookbackDays: settings => settings.windowWeeks * 7,
+    factor: (h, now, settings) =>
+      (entryTime(h).isAfter(now.subtract(settings.windowWeeks, 'week')) ? 1 : 0)
+  },
+  // Balance carries across months, with older work fading out by half-life
+  decay: {
+    describe: settings => `all history, half-life ${settings.halfLifeWeeks} weeks`,
+    // Four half-lives cover ~94% of the weight
+    lookbackDays: settings => settings.halfLifeWeeks * 7 * 4,
+    factor: (h, now, settings) => {
+      const ageWeeks = Math.max(0, now.diff(entryTime(h), 'day', true) / 7);
+      return Math.pow(0.5, ageWeeks / settings.halfLifeWeeks);
+    }
+  }
+};
+
+function entryTime(h) {
+  return dayjs(h.dueDate || h.date);
+}
+
+export function getFairnessSettings(config) {
+  const settings = { ...DEFAULT_FAIRNESS, ...(config.fairness || {}) };
+  if (!FAIRNESS_MODES[settings.mode]) {
+    console.warn(`Unknown fairness mode "${settings.mode}", falling back to "${DEFAULT_FAIRNESS.mode}"`);
+    settings.mode = DEFAULT_FAIRNESS.mode;
+  }
+  return settings;
+}
+
+export function describeFairness(config) {
+  const settings = getFairnessSettings(config);
+  return FAIRNESS_MODES[settings.mode].describe(settings);
+}
+
+// Effort weight from config.json, 1 for chores without one (or no longer configured)
+export function getChoreWeight(config, choreTitle) {
+  const chore = config.chores.find(c => c.title === choreTitle);
+  return chore && typeof chore.weight === 'number' ? chore.weight : 1;
+}
+
+// Share of the lookback span (weighted like history entries) each roommate was
+// around for, from 0 (away the whole time) to 1
+function availabilityFractions(config, mode, settings, now, awayPeriods) {
+  const fractions = {};
+  const days = mode.lookbackDays(settings, now);
+  let totalWeight = 0;
+  const availableWeight = {};
+  config.roommates.forEach(r => availableWeight[r.slackId] = 0);
+
+  for (let i = 0; i < days; i++) {
+    const day = now.subtract(i, 'day');
+    const weight = mode.factor({ date: day.toISOString(), month: day.format('YYYY-[M]MM') }, now, settings);
+    totalWeight += weight;
+    config.roommates.forEach(r => {
+      if (!isAway(r.slackId, day, awayPeriods)) availableWeight[r.slackId] += weight;
+    });
+  }
+
+  config.roommates.forEach(r => {
+    fractions[r.slackId] = totalWeight > 0 ? availableWeight[r.slackId] / totalWeight : 1;
+  });
+  return fractions;
+}
+
+// Points each roommate has earned under the configured fairness mode. This is
+// the balance assignment uses: the lowest balance gets the next chore.
+// Balances are scaled up for time spent away so nobody comes back from a trip
+// to a pile of catch-up chores; someone away the whole span gets the average.
+// Adjustments (e.g. overdue penalties) are added on top and age like chores.
+export function computeBalances(config, history, now, { awayPeriods = {}, adjustments = [] } = {}) {
+  const settings = getFairnessSettings(config);
+  const mode = FAIRNESS_MODES[settings.mode];
+
+  const points = {};
+  config.roommates.forEach(r => points[r.slackId] = 0);
+
+  history.forEach(h => {
+    const factor = mode.factor(h, now, settings);
+    if (factor <= 0) return;
+
+    const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
+    const isShared = h.isShared || assigneeIds.length > 1;
+    const creditPerPerson = isShared ? 0.5 : 1;
+    const credit = getChoreWeight(config, h.chore) * creditPerPerson * factor;
+
+    assigneeIds.forEach(assigneeId => {
+      if (points[assigneeId] !== undefined) {
+        points[assigneeId] += credit;
+      }
+    });
+  });
+
+  const fractions = availabilityFractions(config, mode, settings, now, awayPeriods);
+  const balances = {};
+  const present = config.roommates.filter(r => fractions[r.slackId] > 0);
+  present.forEach(r => balances[r.slackId] = points[r.slackId] / fractions[r.slackId]);
+
+  const average = present.length > 0
+    ? present.reduce((sum, r) => sum + balances[r.slackId], 0) / present.length
+    : 0;
+  config.roommates
+    .filter(r => fractions[r.slackId] === 0)
+    .forEach(r => balances[r.slackId] = average);
+
+  adjustments.forEach(a => {
+    const factor = mode.factor({ date: a.date, month: a.month }, now, settings);
+    if (factor > 0 && balances[a.slackId] !== undefined) {
+      balances[a.slackId] += a.points * factor;
+    }
+  });
+
+  return balances;
+}
+
+function formatPoints(points) {
+  return points % 1 === 0 ? points.toString() : points.toFixed(1);
+}
+
+function lowestBalance(candidates, balances) {
+  const minBalance = Math.min(...candidates.map(r => balances[r.slackId]));
+  const tied = candidates.filter(r => balances[r.slackId] === minBalance);
+  // Random selection among ties
+  return tied[Math.floor(Math.random() * tied.length)];
+}
+
+// Past assignments of one chore, newest first
+function choreHistory(history, chore) {
+  return history
+    .filter(h => h.chore === chore.title)
+    .sort((a, b) => dayjs(b.dueDate || b.date).valueOf() - dayjs(a.dueDate || a.date).valueOf());
+}
+
+// Per-chore rotation strategies, selected with `strategy` in config.json.
+// Each returns { roommate, reason }. `available` excludes people who are away
+// on the due date, and `candidates` additionally excludes people already busy
+// this week; round-robin and fixed ignore busy because they are strict.
+export const ROTATION_STRATEGIES = {
+  // Lowest effort-weighted balance across all chores
+  balanced: {
+    pick: ({ config, candidates, balances }) => {
+      const roommate = lowestBalance(candidates, balances);
+      return {
+        roommate,
+        reason: `lowest balance (${formatPoints(balances[roommate.slackId])} pts, ${describeFairness(config)})`
+      };
+    }
+  },
+  // Strictly the next person in `roommates` after whoever did it last
+  'round-robin': {
+    pick: ({ config, chore, history, available }) => {
+      const roommates = config.roommates;
+      const last = choreHistory(history, chore)[0];
+      const lastId = last && (Array.isArray(last.assignedTo) ? last.assignedTo[0] : last.assignedTo);
+      const lastIndex = roommates.findIndex(r => r.slackId === lastId);
+
+      // Next in order, skipping anyone who is away
+      for (let step = 1; step <= roommates.length; step++) {
+        const roommate = roommates[(lastIndex + step + roommates.length) % roommates.length];
+        if (!available.includes(roommate)) continue;
+        const skipped = step > 1 ? ', skipping anyone away' : '';
+        return {
+          roommate,
+          reason: lastIndex === -1
+            ? `round-robin (starting the rotation${skipped})`
+            : `round-robin (next after ${roommates[lastIndex].name}${skipped})`
+        };
+      }
+      return null;
+    }
+  },
+  // Whoever did this specific chore longest ago (or never)
+  'least-recent': {
+    pick: ({ chore, history, candidates, balances }) => {
+      const pastAssignments = choreHistory(history, chore);
+      const lastDone = {};
+      candidates.forEach(r => {
+        const entry = pastAssignments.find(h =>
+          (Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo]).includes(r.slackId)
+        );
+        lastDone[r.slackId] = entry ? dayjs(entry.dueDate || entry.date) : null;
+      });
+
+      const never = candidates.filter(r => lastDone[r.slackId] === null);
+      if (never.length > 0) {
+        return { roommate: lowestBalance(never, balances), reason: 'least recent (has never done it)' };
+      }
+
+      const oldest = Math.min(...candidates.map(r => lastDone[r.slackId].valueOf()));
+      const roommate = lowestBalance(candidates.filter(r => lastDone[r.slackId].valueOf() === oldest), balances);
+      return {
+        roommate,
+        reason: `least recent (last did it ${lastDone[roommate.slackId].format('MMM D')})`
+      };
+    }
+  },
+  // Always the same person, set with `owner` (Slack ID or name)
+  fixed: {
+    pick: ({ chore, available }) => {
+      const roommate = available.find(r => r.slackId === chore.owner || r.name === chore.owner);
+      return roommate ? { roommate, reason: 'fixed owner' } : null;
+    }
+  }
+};
+
+export function getChoreStrategy(chore) {
+  const strategy = chore?.strategy || 'balanced';
+  if (!ROTATION_STRATEGIES[strategy]) {
+    console.warn(`Unknown strategy "${strategy}" for ${chore.title}, using balanced`);
+    return 'balanced';
+  }
+  return strategy;
+}
+
+// Pick who does `chore` next. `busy` holds Slack IDs that already have a chore
+// in this batch; non-strict strategies avoid them when anyone else is free.
+// People in `exclude` or away on `date` (the due date, or today) are never
+// picked unless that would leave nobody.
+export function chooseAssignee(config, chore, history, now, {
+  busy = new Set(),
+  exclude = new Set(),
+  awayPeriods = {},
+  adjustments = [],
+  date = now
+} = {}) {
+  const balances = computeBalances(config, history, now, { awayPeriods, adjustments });
+  const eligible = config.roommates.filter(r => !exclude.has(r.slackId));
+  const present = eligible.filter(r => !isAway(r.slackId, date, awayPeriods));
+  const available = present.length > 0 ? present : (eligible.length > 0 ? eligible : config.roommates);
+  const free = available.filter(r => !busy.has(r.slackId));
+  const candidates = free.length > 0 ? free : available;
+  const context = { config, chore, history, now, balances, available, candidates };
+
+  const strategy = getChoreStrategy(chore);
+  const choice = ROTATION_STRATEGIES[strategy].pick(context);
+  if (choice) return choice;
+
+  console.warn(`Strategy "${strategy}" could not pick anyone for ${chore.title}, using balanced`);
+  const fallback = ROTATION_STRATEGIES.balanced.pick(context);
+  return { ...fallback, reason: `${fallback.reason}; ${strategy} pick unavailable` };
+}
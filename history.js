@@ -0,0 +1,238 @@
+import fs from 'fs-extra';
+import path from 'path';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { dbRun, loadHistory, saveAssignment } from './db.js';
+import { formatWeek } from './periods.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Column order for exports. Matches the shape loadHistory() returns (minus the
+// database id) so an export can be re-imported into any deployment.
+const HISTORY_FIELDS = [
+  'month',
+  'week',
+  'chore',
+  'assignedTo',
+  'assigneeNames',
+  'date',
+  'dueDate',
+  'completed',
+  'completedBy',
+  'completedDate',
+  'isShared',
+  'creditPerPerson'
+];
+
+const LIST_FIELDS = new Set(['assignedTo', 'assigneeNames', 'completedBy']);
+
+// Separator for list fields inside a single CSV cell
+const CSV_LIST_SEPARATOR = ';';
+
+export async function exportHistory(format = 'json') {
+  const history = await loadHistory();
+  const records = history
+    .map(h => Object.fromEntries(HISTORY_FIELDS.map(field => [field, h[field] ?? null])))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2) + '\n';
+  }
+  if (format === 'csv') {
+    return toCsv(records);
+  }
+  throw new Error(`Unsupported export format "${format}" (use json or csv)`);
+}
+
+function toCsv(records) {
+  const lines = [HISTORY_FIELDS.join(',')];
+  records.forEach(record => {
+    lines.push(HISTORY_FIELDS.map(field => {
+      const value = record[field];
+      if (value === null || value === undefined) return '';
+      const text = LIST_FIELDS.has(field) ? value.join(CSV_LIST_SEPARATOR) : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmptyRows = rows.filter(r => r.some(c => c.trim() !== ''));
+  if (nonEmptyRows.length === 0) return [];
+
+  const [header, ...dataRows] = nonEmptyRows;
+  return dataRows.map(cells => {
+    const record = {};
+    header.forEach((field, i) => {
+      const value = cells[i] ?? '';
+      record[field.trim()] = LIST_FIELDS.has(field.trim())
+        ? value.split(CSV_LIST_SEPARATOR).map(v => v.trim()).filter(Boolean)
+        : value;
+    });
+    return record;
+  });
+}
+
+// Read a history backup from disk. Files ending in .csv are parsed as CSV,
+// anything else as a JSON array (the data/history.json format).
+export async function readHistoryFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return parseCsv(text);
+  }
+
+  const records = JSON.parse(text);
+  if (!Array.isArray(records)) {
+    throw new Error(`${filePath} must contain a JSON array of assignments`);
+  }
+  return records;
+}
+
+// Coerce a raw record (JSON or CSV strings) into the shape saveAssignment expects
+function normalizeRecord(raw) {
+  const toList = value => {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined || value === '') return [];
+    return [value];
+  };
+  const toBoolean = value => value === true || value === 1 || value === 'true' || value === '1';
+  const toNullable = value => (value === '' || value === undefined ? null : value);
+
+  const assignedTo = toList(raw.assignedTo);
+  const isShared = raw.isShared === undefined || raw.isShared === ''
+    ? assignedTo.length > 1
+    : toBoolean(raw.isShared);
+  const credit = raw.creditPerPerson === undefined || raw.creditPerPerson === '' || raw.creditPerPerson === null
+    ? undefined
+    : Number(raw.creditPerPerson);
+
+  return {
+    month: raw.month,
+    week: raw.week,
+    chore: typeof raw.chore === 'string' ? raw.chore.trim() : raw.chore,
+    assignedTo,
+    assigneeNames: toList(raw.assigneeNames),
+    date: raw.date,
+    dueDate: toNullable(raw.dueDate),
+    completed: toBoolean(raw.completed),
+    completedBy: toList(raw.completedBy),
+    completedDate: toNullable(raw.completedDate),
+    isShared,
+    creditPerPerson: credit
+  };
+}
+
+function validateRecord(record) {
+  const errors = [];
+  const isDate = value => typeof value === 'string' && dayjs(value).isValid();
+
+  if (!/^\d{4}-M\d{2}$/.test(record.month || '')) errors.push(`month "${record.month}" must look like 2025-M08`);
+  if (!/^\d{4}-W\d{2}$/.test(record.week || '')) errors.push(`week "${record.week}" must look like 2025-W32`);
+  if (typeof record.chore !== 'string' || record.chore === '') errors.push('chore is required');
+  if (record.assignedTo.length === 0) errors.push('assignedTo needs at least one Slack ID');
+  if (record.assignedTo.some(id => typeof id !== 'string' || !/^[UW][A-Z0-9]+$/.test(id))) {
+    errors.push('assignedTo must contain Slack user IDs');
+  }
+  if (record.assigneeNames.length !== record.assignedTo.length) {
+    errors.push('assigneeNames must have one name per assignedTo entry');
+  }
+  if (!isDate(record.date)) errors.push(`date "${record.date}" is not a valid date`);
+  if (record.dueDate !== null && !isDate(record.dueDate)) errors.push(`dueDate "${record.dueDate}" is not a valid date`);
+  if (record.completedDate !== null && !isDate(record.completedDate)) {
+    errors.push(`completedDate "${record.completedDate}" is not a valid date`);
+  }
+  if (record.completedBy.some(id => !record.assignedTo.includes(id))) {
+    errors.push('completedBy may only contain people from assignedTo');
+  }
+  if (record.creditPerPerson !== undefined && !(record.creditPerPerson > 0)) {
+    errors.push(`creditPerPerson "${record.creditPerPerson}" must be a positive number`);
+  }
+  return errors;
+}
+
+function historyKey(record) {
+  return `${record.week}|${record.chore}|${[...record.assignedTo].sort().join(',')}`;
+}
+
+// Validate and load history records into chore_assignments. Nothing is written
+// unless every record is valid. Records matching an existing row (same week,
+// chore and assignees) are skipped so the same backup can be imported twice.
+// Weeks are recomputed from each chore's dates on the house clock
+// (`timezone`): older backups label weeks differently.
+export async function importHistory(rawRecords, { timezone: tz = process.env.TZ || 'America/Los_Angeles' } = {}) {
+  const records = rawRecords.map(normalizeRecord);
+  const errors = [];
+  records.forEach((record, index) => {
+    validateRecord(record).forEach(message => errors.push(`Record ${index + 1}: ${message}`));
+  });
+  if (errors.length > 0) {
+    return { imported: 0, skipped: 0, errors };
+  }
+  records.forEach(record => {
+    record.week = formatWeek(dayjs(record.dueDate || record.date).tz(tz));
+  });
+
+  const existing = await loadHistory();
+  const seen = new Set(existing.map(historyKey));
+  let imported = 0;
+  let skipped = 0;
+
+  try {
+    await dbRun('BEGIN TRANSACTION');
+    for (const record of records) {
+      const key = historyKey(record);
+      if (seen.has(key)) {
+        skipped++;
+        continue;
+      }
+      seen.add(key);
+      await saveAssignment(record);
+      imported++;
+    }
+    await dbRun('COMMIT');
+  } catch (error) {
+    await dbRun('ROLLBACK').catch(() => {});
+    throw error;
+  }
+
+  return { imported, skipped, errors };
+}
@@ -0,0 +1,94 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// One deployment can run chores for several households. Each has its own
+// roommates, chores, channel, timezone and history. config.json either
+// describes a single household (the original layout, using CHANNEL_ID and TZ
+// from the environment) or lists them:
+//   {
+//     "fairness": { ... },                  shared defaults for every household
+//     "households": [
+//       { "id": "dltp", "channelId": "C123", "timezone": "America/Los_Angeles",
+//         "roommates": [...], "chores": [...] },
+//       { "id": "next-door", "channelId": "C456", "teamId": "T789",
+//         "botTokenEnv": "NEXT_DOOR_BOT_TOKEN", "roommates": [...], "chores": [...] }
+//     ]
+//   }
+// Slack requests and cron runs execute "inside" one household, so the
+// database and config lookups below them don't need it passed around.
+
+export const DEFAULT_HOUSEHOLD_ID = 'default';
+
+const storage = new AsyncLocalStorage();
+
+// Split config.json into [{ id, name, channelId, teamId, timezone, botTokenEnv, fileConfig }]
+export function parseHouseholds(fileConfig, env = process.env) {
+  const defaultTimezone = env.TZ || 'America/Los_Angeles';
+
+  if (!Array.isArray(fileConfig.households)) {
+    return [{
+      id: DEFAULT_HOUSEHOLD_ID,
+      name: fileConfig.name || 'House',
+      channelId: fileConfig.channelId || env.CHANNEL_ID,
+      teamId: fileConfig.teamId || null,
+      timezone: fileConfig.timezone || defaultTimezone,
+      botTokenEnv: fileConfig.botTokenEnv || null,
+      fileConfig
+    }];
+  }
+
+  const { households, ...shared } = fileConfig;
+  const seen = new Set();
+  return households.map((entry, index) => {
+    if (!entry.id) throw new Error(`Household ${index + 1} needs an "id"`);
+    if (seen.has(entry.id)) throw new Error(`Household id "${entry.id}" is used twice`);
+    if (!entry.channelId) throw new Error(`Household "${entry.id}" needs a "channelId"`);
+    if (entry.botTokenEnv && !env[entry.botTokenEnv]) {
+      throw new Error(`Household "${entry.id}" uses ${entry.botTokenEnv}, which isn't set`);
+    }
+    seen.add(entry.id);
+
+    return {
+      id: entry.id,
+      name: entry.name || entry.id,
+      channelId: entry.channelId,
+      teamId: entry.teamId || null,
+      timezone: entry.timezone || defaultTimezone,
+      botTokenEnv: entry.botTokenEnv || null,
+      fileConfig: { ...shared, ...entry }
+    };
+  });
+}
+
+export function runInHousehold(household, fn) {
+  return storage.run(household, fn);
+}
+
+// The household the current Slack request or cron run belongs to
+export function currentHousehold() {
+  const household = storage.getStore();
+  if (!household) throw new Error('No household for this request');
+  return household;
+}
+
+export function currentHouseholdId() {
+  return currentHousehold().id;
+}
+
+// Which household a Slack request is for: the channel it came from, then the
+// household the user lives in (DMs, App Home), then the workspace. With a
+// single household everything belongs to it.
+export function findHouseholdFor(households, { channelId, userId, teamId }) {
+  if (households.length === 1) return households[0];
+
+  const byChannel = households.find(h => h.channelId === channelId);
+  if (byChannel) return byChannel;
+
+  const byUser = households.filter(h => (h.config?.roommates || []).some(r => r.slackId === userId));
+  if (byUser.length > 0) {
+    // Someone in two houses is matched by workspace first, then config order
+    return byUser.find(h => teamId && h.teamId === teamId) || byUser[0];
+  }
+
+  const byTeam = households.filter(h => teamId && h.teamId === teamId);
+  return byTeam.length === 1 ? byTeam[0] : null;
+}
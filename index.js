@@ -6,428 +6,588 @@ import cron from 'node-cron';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
-import weekOfYear from 'dayjs/plugin/weekOfYear.js';
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
+import isoWeek from 'dayjs/plugin/isoWeek.js';
+import {
+  initDatabase,
+  dbAll,
+  loadHistory,
+  saveAssignment,
+  updateAssignment,
+  deleteAssignment,
+  loadAwayPeriods,
+  saveAwayPeriod,
+  deleteAwayPeriods,
+  createSwapRequest,
+  getSwapRequest,
+  resolveSwapRequest,
+  recordAudit,
+  loadAuditLog,
+  saveWeeklyPost,
+  getWeeklyPost,
+  claimWeeklyCelebration,
+  loadEscalations,
+  claimEscalation,
+  loadFairnessAdjustments,
+  saveFairnessAdjustment,
+  scheduleReminder,
+  loadDueReminders,
+  markReminder,
+  deferReminder,
+  loadRosterOverrides,
+  saveRosterOverride,
+  onAssignmentsChanged,
+  createDraft,
+  getDraft,
+  getOpenDraft,
+  updateDraft,
+  createBounty,
+  getBounty,
+  loadOpenBounties,
+  setBountyMessage,
+  resolveBounty,
+  claimMonthlyRecap,
+  releaseMonthlyRecap,
+  saveBadges,
+  loadBadges
+} from './db.js';
+import { exportHistory, readHistoryFile, importHistory } from './history.js';
+import { computeBalances, describeFairness, getFairnessSettings, chooseAssignee, ROTATION_STRATEGIES } from './fairness.js';
+import { collectAwayPeriods, isAway, parseDay } from './availability.js';
+import { parseRecurrence, isManualChore, occurrencesBetween, parseDueText, describeDue } from './recurrence.js';
+import { applyRosterOverrides, parseAdminArgs, parseLeadMinutes } from './roster.js';
+import { parsePeriod, formatWeek } from './periods.js';
+import { computeRoommateStats } from './stats.js';
+import { computeMonthlyRecap, describeBadge, BADGES } from './recap.js';
+import { isValidTimezone, normalizeQuietHours, parseQuietHours, describeQuietHours, quietHoursEnd } from './localtime.js';
+import { parseIntent, matchAssignments, matchNames } from './intents.js';
+import { DEFAULT_HOUSEHOLD_ID, parseHouseholds, runInHousehold, currentHousehold, currentHouseholdId, findHouseholdFor } from './households.js';
 
 dotenv.config();
 dayjs.extend(utc);
 dayjs.extend(timezone);
-dayjs.extend(weekOfYear);
+dayjs.extend(isoWeek);
 
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
+  authorize: authorizeWorkspace,
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   socketMode: false,
   processBeforeResponse: true
 });
 
 const CONFIG_FILE = './config.json';
-const TZ = process.env.TZ || 'America/Los_Angeles';
+const SEED_HISTORY_FILE = './data/history.json';
 
-// Helper function to format week properly
-function formatWeek(date) {
-  return date.format('YYYY') + '-W' + String(date.week()).padStart(2, '0');
+let households = [];
+
+// The current household's merged config, timezone, channel and bot token
+function getConfig() {
+  return currentHousehold().config;
 }
-const DB_PATH = process.env.DATABASE_URL || './chores.db';
 
-let config = {};
-let db;
+function getTimezone() {
+  return currentHousehold().timezone;
+}
 
-// Initialize SQLite database
-async function initDatabase() {
-  return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) {
-        console.error('Error opening database:', err);
-        reject(err);
-        return;
-      }
-      console.log('✅ Connected to SQLite database');
-      
-      // Create tables
-      db.serialize(() => {
-        db.run(`
-          CREATE TABLE IF NOT EXISTS chore_assignments (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            month TEXT NOT NULL,
-            week TEXT NOT NULL,
-            chore TEXT NOT NULL,
-            assigned_to TEXT NOT NULL,
-            assignee_names TEXT NOT NULL,
-            date TEXT NOT NULL,
-            due_date TEXT,
-            completed BOOLEAN DEFAULT FALSE,
-            completed_by TEXT DEFAULT '',
-            completed_date TEXT,
-            is_shared BOOLEAN DEFAULT FALSE,
-            triggered_by TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `, (err) => {
-          if (err) {
-            console.error('Error creating table:', err);
-            reject(err);
-          } else {
-            console.log('✅ Database table ready');
-            resolve();
-          }
-        });
-      });
-    });
-  });
+function getChannelId() {
+  return currentHousehold().channelId;
 }
 
-// Promisify database methods
-const dbAll = (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
+function getBotToken() {
+  return process.env[currentHousehold().botTokenEnv || 'SLACK_BOT_TOKEN'];
+}
+
+// Bolt asks for a bot token per incoming request. Households in another
+// workspace bring their own (botTokenEnv); everyone else uses SLACK_BOT_TOKEN.
+// Each token is looked up with auth.test once.
+const botIdentities = new Map();
+async function authorizeWorkspace({ teamId }) {
+  const household = households.find(h => h.botTokenEnv && h.teamId === teamId);
+  const botToken = process.env[household?.botTokenEnv || 'SLACK_BOT_TOKEN'];
+  
+  if (!botIdentities.has(botToken)) {
+    const auth = await app.client.auth.test({ token: botToken });
+    botIdentities.set(botToken, { botToken, botId: auth.bot_id, botUserId: auth.user_id });
+  }
+  return botIdentities.get(botToken);
+}
+
+// Run every Slack request inside the household it came from
+app.use(async ({ body, ack, respond, next }) => {
+  const household = findHouseholdFor(households, {
+    channelId: body.channel_id || body.channel?.id || body.event?.channel || body.container?.channel_id,
+    userId: body.user_id || body.user?.id || body.event?.user,
+    teamId: body.team_id || body.team?.id || body.event?.team
   });
-};
+  
+  if (household) {
+    await runInHousehold(household, next);
+    return;
+  }
+  
+  if (ack) await ack();
+  if (body.command) {
+    await respond('🏠 This channel isn\'t set up as a household. Run commands from your house channel.');
+  }
+});
 
-const dbRun = (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function(err) {
-      if (err) reject(err);
-      else resolve({ id: this.lastID, changes: this.changes });
-    });
+// Start (Monday 00:00) and end of the ISO week `weekOffset` weeks from now
+function getWeekBounds(weekOffset = 0) {
+  const target = dayjs().tz(getTimezone()).add(weekOffset, 'week');
+  const monday = target.subtract((target.day() + 6) % 7, 'day').format('YYYY-MM-DD');
+  const nextMonday = dayjs(monday).add(7, 'day').format('YYYY-MM-DD');
+  return {
+    start: dayjs.tz(`${monday} 00:00`, getTimezone()),
+    end: dayjs.tz(`${nextMonday} 00:00`, getTimezone())
+  };
+}
+
+// Every scheduled occurrence in that week - a chore may be due several times
+function getWeekOccurrences(weekOffset = 0) {
+  const { start, end } = getWeekBounds(weekOffset);
+  return getConfig().chores
+    .flatMap(chore => occurrencesBetween(parseRecurrence(chore.due), start, end, getTimezone())
+      .map(dueDate => ({ chore, dueDate })))
+    .sort((a, b) => a.dueDate.valueOf() - b.dueDate.valueOf());
+}
+
+// Whether a history row is the assignment for a scheduled occurrence (same chore, same due day)
+function matchesOccurrence(h, occurrence) {
+  return h.chore === occurrence.chore.title
+    && Boolean(h.dueDate)
+    && dayjs(h.dueDate).tz(getTimezone()).format('YYYY-MM-DD') === occurrence.dueDate.format('YYYY-MM-DD');
+}
+
+// The household's part of config.json with roommate and chore changes from
+// /chore admin applied on top
+async function readConfig(overrides) {
+  const merged = applyRosterOverrides(currentHousehold().fileConfig, overrides ?? await loadRosterOverrides());
+  
+  // Surface bad recurrence rules at startup rather than at the next assignment
+  merged.chores.forEach(chore => {
+    try {
+      parseRecurrence(chore.due);
+    } catch (error) {
+      throw new Error(`Invalid due for "${chore.title}": ${error.message}`);
+    }
   });
-};
+  normalizeQuietHours(merged.quietHours);
+  merged.roommates.forEach(roommate => {
+    if (roommate.timezone && !isValidTimezone(roommate.timezone)) {
+      throw new Error(`Invalid timezone for ${roommate.name}: "${roommate.timezone}"`);
+    }
+    try {
+      normalizeQuietHours(roommate.quietHours);
+    } catch (error) {
+      throw new Error(`Invalid quietHours for ${roommate.name}: ${error.message}`);
+    }
+  });
+  return merged;
+}
 
 async function loadConfig() {
   try {
-    config = await fs.readJson(CONFIG_FILE);
+    households = parseHouseholds(await fs.readJson(CONFIG_FILE));
+    for (const household of households) {
+      household.config = await runInHousehold(household, () => readConfig());
+    }
   } catch (error) {
     console.error('Error loading config:', error);
     process.exit(1);
   }
 }
 
-async function loadHistory() {
-  try {
-    const rows = await dbAll('SELECT * FROM chore_assignments ORDER BY date DESC');
-    
-    // Convert database rows to the format expected by existing code
-    return rows.map(row => {
-      // Handle both JSON array format and single string format for compatibility
-      let assignedTo, assigneeNames, completedBy;
-      
-      try {
-        assignedTo = JSON.parse(row.assignedTo);
-      } catch {
-        assignedTo = [row.assignedTo]; // Single string, convert to array
-      }
-      
-      try {
-        assigneeNames = JSON.parse(row.assigneeNames);  
-      } catch {
-        assigneeNames = [row.assigneeNames]; // Single string, convert to array
-      }
-      
-      try {
-        completedBy = row.completedBy ? JSON.parse(row.completedBy) : [];
-      } catch {
-        completedBy = row.completedBy ? [row.completedBy] : [];
-      }
-      
-      return {
-        id: row.id,
-        month: row.month,
-        week: row.week,
-        chore: row.chore,
-        assignedTo,
-        assigneeNames,
-        date: row.date,
-        dueDate: row.dueDate,
-        completed: Boolean(row.completed),
-        completedBy,
-        completedDate: row.completedDate,
-        isShared: Boolean(row.isShared),
-        creditPerPerson: row.creditPerPerson || 1.0
-      };
-    });
-  } catch (error) {
-    console.error('Error loading history from database:', error);
-    return [];
-  }
-}
-
 async function initializeSeedData() {
   try {
     // Check if data already exists
-    const existingData = await dbAll('SELECT COUNT(*) as count FROM chore_assignments');
+    const existingData = await dbAll('SELECT COUNT(*) as count FROM chore_assignments WHERE householdId = ?', [currentHouseholdId()]);
     if (existingData[0].count > 0) {
       console.log('Database already has data, skipping seed initialization');
       return;
     }
 
-    const seedData = [
-      // Kyle: 2 points total (1 vacuum + 1 take out bins)
-      {
-        month: "2025-M08", week: "2025-W31", chore: "Vacuum downstairs",
-        assignedTo: ["U0997H3JB44"], assigneeNames: ["Kyle"], date: "2025-08-03T11:30:00.000Z",
-        dueDate: "2025-08-03T12:00:00.000Z", completed: true, completedBy: ["U0997H3JB44"], completedDate: "2025-08-03T11:45:00.000Z", isShared: false
-      },
-      {
-        month: "2025-M08", week: "2025-W32", chore: "Take out trash bins to the front",
-        assignedTo: ["U0997H3JB44"], assigneeNames: ["Kyle"], date: "2025-08-05T19:30:00.000Z",
-        dueDate: "2025-08-05T20:00:00.000Z", completed: true, completedBy: ["U0997H3JB44"], completedDate: "2025-08-05T19:45:00.000Z", isShared: false
-      },
-      
-      // Jimmy: 0.5 points total (0.5 shared take in bins)
-      {
-        month: "2025-M08", week: "2025-W32", chore: "Take in trash bins to the yard",
-        assignedTo: ["U0997GV2P5J", "U0997H0KM9A"], assigneeNames: ["Jimmy", "Max"], date: "2025-08-06T19:30:00.000Z",
-        dueDate: "2025-08-06T20:00:00.000Z", completed: true, completedBy: ["U0997GV2P5J", "U0997H0KM9A"], completedDate: "2025-08-06T19:50:00.000Z", isShared: true
-      },
-      
-      // Max: 0.5 points total (0.5 shared take in bins)
-      // (Max already included in the shared task above)
-      
-      // Zo: 1 point total (1 vacuum)
-      {
-        month: "2025-M08", week: "2025-W31", chore: "Vacuum upstairs",
-        assignedTo: ["U0997GWTXUL"], assigneeNames: ["Zo"], date: "2025-08-03T12:30:00.000Z",
-        dueDate: "2025-08-03T13:00:00.000Z", completed: true, completedBy: ["U0997GWTXUL"], completedDate: "2025-08-03T12:45:00.000Z", isShared: false
-      }
-      
-      // Helena: 0 points (no assignments)
-    ];
+    if (!(await fs.pathExists(SEED_HISTORY_FILE))) {
+      console.log(`No ${SEED_HISTORY_FILE} found, starting with empty history`);
+      return;
+    }
 
-    for (const assignment of seedData) {
-      await saveAssignment(assignment);
+    const records = await readHistoryFile(SEED_HISTORY_FILE);
+    const result = await importHistory(records, { timezone: getTimezone() });
+    if (result.errors.length > 0) {
+      console.error(`Seed file ${SEED_HISTORY_FILE} has invalid records:`, result.errors);
+      return;
     }
     
-    console.log('✅ Database initialized with', seedData.length, 'historical entries');
+    console.log('✅ Database initialized with', result.imported, 'historical entries');
   } catch (error) {
     console.error('Error initializing seed data:', error);
   }
 }
 
-async function saveAssignment(assignment) {
-  try {
-    await dbRun(`
-      INSERT INTO chore_assignments (
-        month, week, chore, assignedTo, assigneeNames, date, dueDate, 
-        completed, completedBy, completedDate, isShared, creditPerPerson
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      assignment.month,
-      assignment.week,
-      assignment.chore,
-      JSON.stringify(assignment.assignedTo),
-      JSON.stringify(assignment.assigneeNames),
-      assignment.date,
-      assignment.dueDate,
-      assignment.completed ? 1 : 0,
-      JSON.stringify(assignment.completedBy || []),
-      assignment.completedDate,
-      assignment.isShared ? 1 : 0,
-      assignment.creditPerPerson || (assignment.isShared ? 0.5 : 1.0)
-    ]);
-  } catch (error) {
-    console.error('Error saving assignment:', error);
-    throw error;
-  }
+// Away periods from config.json plus those added with /chore away
+async function getAwayPeriods() {
+  return collectAwayPeriods(getConfig(), await loadAwayPeriods());
 }
 
-async function updateAssignment(id, updates) {
-  try {
-    const setParts = [];
-    const values = [];
-    
-    Object.keys(updates).forEach(key => {
-      if (key === 'completedBy' || key === 'assignedTo' || key === 'assigneeNames') {
-        setParts.push(`${key} = ?`);
-        values.push(JSON.stringify(updates[key]));
-      } else if (key === 'completed' || key === 'isShared') {
-        setParts.push(`${key} = ?`);
-        values.push(updates[key] ? 1 : 0);
-      } else {
-        setParts.push(`${key} = ?`);
-        values.push(updates[key]);
-      }
-    });
-    
-    values.push(id);
-    
-    await dbRun(`
-      UPDATE chore_assignments 
-      SET ${setParts.join(', ')}
-      WHERE id = ?
-    `, values);
-  } catch (error) {
-    console.error('Error updating assignment:', error);
-    throw error;
-  }
+// Everything besides history that feeds fairness balances
+async function getFairnessInputs() {
+  return {
+    awayPeriods: await getAwayPeriods(),
+    adjustments: await loadFairnessAdjustments()
+  };
 }
 
-function findNextAssignee(chore, history) {
-  const roommates = config.roommates;
-  const currentMonth = dayjs().tz(TZ).format('YYYY-[M]MM');
-  
-  // Get all assignments for current month
-  const monthHistory = history.filter(h => h.month === currentMonth);
-  
-  // Count total monthly assignments for each person (across all chores)
-  const monthlyCounts = {};
-  roommates.forEach(r => monthlyCounts[r.slackId] = 0);
-  
-  monthHistory.forEach(h => {
-    const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
-    const isShared = h.isShared || assigneeIds.length > 1;
-    const creditPerPerson = isShared ? 0.5 : 1;
-    
-    assigneeIds.forEach(assigneeId => {
-      if (monthlyCounts[assigneeId] !== undefined) {
-        monthlyCounts[assigneeId] += creditPerPerson;
-      }
-    });
-  });
-  
-  // Find person with fewest total monthly assignments
-  const minCount = Math.min(...Object.values(monthlyCounts));
-  const candidates = roommates.filter(r => monthlyCounts[r.slackId] === minCount);
-  
-  // Random selection among ties
-  return candidates[Math.floor(Math.random() * candidates.length)];
+// Roommates who aren't away on the given day (everyone if the whole house is away)
+async function getAvailableRoommates(date = dayjs().tz(getTimezone())) {
+  const awayPeriods = await getAwayPeriods();
+  const available = getConfig().roommates.filter(r => !isAway(r.slackId, date, awayPeriods));
+  return available.length > 0 ? available : getConfig().roommates;
 }
 
-function findMultipleAssignees(chore, history, numAssignees = 2) {
-  const roommates = config.roommates;
-  const currentMonth = dayjs().tz(TZ).format('YYYY-[M]MM');
-  
-  // Get all assignments for current month
-  const monthHistory = history.filter(h => h.month === currentMonth);
-  
-  // Count total monthly assignments for each person
-  const monthlyCounts = {};
-  roommates.forEach(r => monthlyCounts[r.slackId] = 0);
+function findNextAssignee(chore, history, options = {}) {
+  // Honors the chore's rotation strategy (balanced when none is configured)
+  return chooseAssignee(getConfig(), chore, history, dayjs().tz(getTimezone()), options).roommate;
+}
+
+function findMultipleAssignees(chore, history, numAssignees = 2, { awayPeriods = {}, adjustments = [] } = {}) {
+  const now = dayjs().tz(getTimezone());
+  const present = getConfig().roommates.filter(r => !isAway(r.slackId, now, awayPeriods));
+  const roommates = present.length > 0 ? present : getConfig().roommates;
   
-  monthHistory.forEach(h => {
-    const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
-    const isShared = h.isShared || assigneeIds.length > 1;
-    const creditPerPerson = isShared ? 0.5 : 1;
-    
-    assigneeIds.forEach(assigneeId => {
-      if (monthlyCounts[assigneeId] !== undefined) {
-        monthlyCounts[assigneeId] += creditPerPerson;
-      }
-    });
-  });
+  // Weighted points over the configured fairness window
+  const balances = computeBalances(getConfig(), history, now, { awayPeriods, adjustments });
   
-  // Sort roommates by assignment count (ascending)
-  const sortedRoommates = roommates.sort((a, b) => 
-    monthlyCounts[a.slackId] - monthlyCounts[b.slackId]
+  // Sort roommates by balance (ascending) without reordering config
+  const sortedRoommates = [...roommates].sort((a, b) => 
+    balances[a.slackId] - balances[b.slackId]
   );
   
-  // Return the N people with fewest assignments
+  // Return the N people with the lowest balance
   return sortedRoommates.slice(0, Math.min(numAssignees, roommates.length));
 }
 
-async function assignChores(isManual = false, weekOffset = 0) {
-  const history = await loadHistory();
-  const currentMonth = dayjs().tz(TZ).format('YYYY-[M]MM');
-  const currentWeek = formatWeek(dayjs().tz(TZ).add(weekOffset, 'week'));
+// Pick assignees for a week's scheduled chores without saving anything.
+// Normally only occurrences nobody has yet; `reassign` (for /chore assign)
+// plans every unfinished one again, as if its current assignee had never been
+// picked. Done, awaiting-verification and past-due occurrences are left alone.
+async function planAssignments(weekOffset = 0, { reassign = false } = {}) {
+  const allHistory = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  const currentMonth = now.format('YYYY-[M]MM');
+  const week = formatWeek(now.add(weekOffset, 'week'));
+  const weekAssignments = allHistory.filter(h => h.week === week);
   
-  // Get ALL assignments for this week (completed and incomplete)
-  const allWeekAssignments = history.filter(h => h.week === currentWeek);
+  const rowsFor = occurrence => weekAssignments.filter(h => matchesOccurrence(h, occurrence));
+  const isSettled = occurrence => rowsFor(occurrence).some(h => h.completed || h.verificationStatus === 'pending');
   
-  // Get incomplete assignments for early return check
-  const incompleteAssignments = allWeekAssignments.filter(h => !h.completed);
-  if (incompleteAssignments.length > 0 && !isManual) {
-    return incompleteAssignments;
-  }
-  
-  // Get all scheduled chores (not manual ones)
-  const scheduledChores = config.chores.filter(c => c.due.weekday !== -1);
-  console.log('DEBUG: Scheduled chores (weekday !== -1):', scheduledChores.map(c => `${c.title} (weekday: ${c.due.weekday})`));
-  
-  // Check if all scheduled chores are already completed
-  const completedScheduledChores = scheduledChores.filter(chore => 
-    allWeekAssignments.some(h => h.chore === chore.title && h.completed)
-  );
+  const occurrences = getWeekOccurrences(weekOffset);
+  console.log('DEBUG: Scheduled occurrences:', occurrences.map(o => `${o.chore.title} (${o.dueDate.format('ddd h:mm A')})`));
   
-  if (completedScheduledChores.length >= scheduledChores.length) {
-    console.log('✅ All scheduled chores for this week are already completed!');
-    console.log('DEBUG: assignChores returning empty array - should show celebratory message');
-    return [];
-  }
+  const toPlan = occurrences.filter(occurrence => {
+    if (isSettled(occurrence)) return false;
+    // Occurrences earlier this week that were never assigned can't be done on time
+    if (occurrence.dueDate.isBefore(now)) return false;
+    return reassign || rowsFor(occurrence).length === 0;
+  });
   
-  console.log('DEBUG: assignChores continuing - some chores not completed yet');
+  // Rows about to be re-planned shouldn't count against whoever has them now
+  const replaced = new Set(toPlan.flatMap(rowsFor));
+  const history = allHistory.filter(h => !replaced.has(h));
   
-  const assignments = [];
+  const items = [];
   const assignedPeopleThisWeek = new Set();
+  const { awayPeriods, adjustments } = await getFairnessInputs();
   
-  for (const chore of config.chores) {
-    // Skip chores that are manually triggered (weekday: -1)
-    if (chore.due.weekday === -1) continue;
+  for (const { chore, dueDate } of toPlan) {
+    // Skip anyone away on the due date, and avoid giving same person multiple
+    // chores in one assignment batch (round-robin and fixed owner ignore this)
+    const { roommate: assignee, reason } = chooseAssignee(getConfig(), chore, history, now, {
+      busy: assignedPeopleThisWeek,
+      awayPeriods,
+      adjustments,
+      date: dueDate
+    });
     
-    // Check if this chore is already completed this week
-    const alreadyCompletedThisWeek = allWeekAssignments.find(h => 
-      h.chore === chore.title && h.completed
-    );
+    assignedPeopleThisWeek.add(assignee.slackId);
     
-    if (alreadyCompletedThisWeek) {
-      console.log(`Skipping ${chore.title} - already completed this week`);
-      continue;
-    }
+    const item = {
+      chore: chore.title,
+      dueDate: dueDate.toISOString(),
+      assignedTo: [assignee.slackId],
+      assigneeNames: [assignee.name],
+      rotationReason: reason
+    };
+    items.push(item);
     
-    let assignee = findNextAssignee(chore, history);
+    // Count this chore toward the balance before picking the next assignee
+    history.push({ ...item, month: currentMonth, week, date: now.toISOString(), completed: false, completedBy: [] });
+  }
+  
+  return { week, items };
+}
+
+// Save a draft's assignments. Publishing again (or a newer draft for the same
+// week) updates the rows it created instead of adding more. Returns the
+// number of rows created or changed.
+async function publishDraft(draft, publishedBy) {
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  const weekAssignments = history.filter(h => h.week === draft.week);
+  const created = [];
+  let changed = 0;
+  
+  for (const item of draft.items) {
+    const occurrence = { chore: { title: item.chore }, dueDate: dayjs(item.dueDate).tz(getTimezone()) };
+    const rows = weekAssignments.filter(h => matchesOccurrence(h, occurrence));
+    // Finished since the draft was made
+    if (rows.some(h => h.completed || h.verificationStatus === 'pending')) continue;
     
-    // Try to avoid giving same person multiple chores in one assignment batch
-    let attempts = 0;
-    while (assignedPeopleThisWeek.has(assignee.slackId) && attempts < config.roommates.length) {
-      assignee = findNextAssignee(chore, history);
-      attempts++;
+    const existing = rows[0];
+    if (existing) {
+      const previousAssignedTo = Array.isArray(existing.assignedTo) ? existing.assignedTo : [existing.assignedTo];
+      if (previousAssignedTo.join() === item.assignedTo.join()) continue;
+      
+      await updateAssignment(existing.id, {
+        assignedTo: item.assignedTo,
+        assigneeNames: item.assigneeNames,
+        completedBy: [],
+        isShared: false,
+        rotationReason: item.rotationReason
+      });
+      await recordAudit('reassigned', publishedBy, existing.id, {
+        reason: 'draft_published',
+        previousAssignedTo,
+        assignedTo: item.assignedTo
+      });
+      changed += 1;
+      continue;
     }
     
-    assignedPeopleThisWeek.add(assignee.slackId);
-    
     const assignment = {
-      month: currentMonth,
-      week: currentWeek,
-      chore: chore.title,
-      assignedTo: [assignee.slackId], // Array format for consistency
-      assigneeNames: [assignee.name],
-      date: dayjs().tz(TZ).toISOString(),
-      dueDate: getNextDueDate(chore.due, weekOffset),
+      month: now.format('YYYY-[M]MM'),
+      week: draft.week,
+      chore: item.chore,
+      assignedTo: item.assignedTo,
+      assigneeNames: item.assigneeNames,
+      date: now.toISOString(),
+      dueDate: item.dueDate,
       completed: false,
-      completedBy: []
+      completedBy: [],
+      rotationReason: item.rotationReason,
+      triggeredBy: draft.createdBy
     };
+    assignment.id = await saveAssignment(assignment);
+    await recordAudit('assignment_created', publishedBy, assignment.id, {
+      chore: assignment.chore,
+      week: assignment.week,
+      assignedTo: assignment.assignedTo,
+      reason: assignment.rotationReason
+    });
+    created.push(assignment);
+  }
+  
+  await updateDraft(draft.id, { status: 'published', publishedBy, publishedAt: now.toISOString() });
+  await recordAudit('draft_published', publishedBy, null, { draftId: draft.id, week: draft.week, saved: created.length + changed });
+  
+  // An existing post for the week redraws itself when its rows change
+  if (created.length > 0 && !(await getWeeklyPost(draft.week))) {
+    await postAssignments(created, getChannelId());
+  }
+  return created.length + changed;
+}
+
+// One publish at a time, so a double-click can't save a week twice
+let publishQueue = Promise.resolve();
+function queuePublish(draftId, publishedBy) {
+  const run = publishQueue.then(async () => {
+    const draft = await getDraft(draftId);
+    return draft ? publishDraft(draft, publishedBy) : null;
+  });
+  publishQueue = run.catch(() => {});
+  return run;
+}
+
+// Admins review drafts; whoever made one with /chore assign can too
+function canReviewDraft(draft, userId) {
+  return isAdmin(userId) || draft.createdBy === userId;
+}
+
+// Preview with a dropdown per chore to pick someone else, and Publish
+function buildDraftMessage(draft) {
+  const roommates = getConfig().roommates;
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📝 Draft chore assignments (${draft.week})`
+      }
+    }
+  ];
+  
+  draft.items.forEach((item, index) => {
+    const options = roommates.map(r => ({
+      text: { type: 'plain_text', text: r.name.slice(0, 75) },
+      value: JSON.stringify({ draftId: draft.id, index, slackId: r.slackId })
+    }));
+    const selected = options.find(option => JSON.parse(option.value).slackId === item.assignedTo[0]);
+    const due = dayjs(item.dueDate).tz(getTimezone()).format('ddd, MMM D [at] h:mm A');
     
-    assignments.push(assignment);
-    await saveAssignment(assignment);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${item.chore}*\n📅 ${due}\n🔁 ${item.rotationReason || 'picked by hand'}`
+      },
+      accessory: {
+        type: 'static_select',
+        action_id: `draft_assign_${index}`,
+        placeholder: { type: 'plain_text', text: item.assigneeNames.join(' & ') || 'Pick someone' },
+        options,
+        ...(selected ? { initial_option: selected } : {})
+      }
+    });
+  });
+  
+  const status = draft.status === 'published'
+    ? `✅ Published by <@${draft.publishedBy}> on ${dayjs(draft.publishedAt).tz(getTimezone()).format('MMM D [at] h:mm A')}. Publishing again updates those assignments.`
+    : '📝 Nothing is saved until someone publishes. Use the dropdowns to change who does what.';
+  blocks.push(
+    { type: 'context', elements: [{ type: 'mrkdwn', text: status }] },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: draft.status === 'published' ? 'Publish again' : 'Publish'
+          },
+          style: 'primary',
+          action_id: 'draft_publish',
+          value: String(draft.id)
+        }
+      ]
+    }
+  );
+  
+  return { text: `📝 Draft chore assignments for ${draft.week}`, blocks };
+}
+
+// Redraw the clicked preview and every DM copy of it
+async function refreshDraftPreviews(draft, body, respond) {
+  const message = buildDraftMessage(draft);
+  await respond({ replace_original: true, ...message });
+  
+  for (const preview of draft.previews) {
+    if (preview.ts === body.container?.message_ts) continue;
+    try {
+      await app.client.chat.update({ token: getBotToken(), channel: preview.channel, ts: preview.ts, ...message });
+    } catch (error) {
+      console.error(`Error updating draft preview in ${preview.channel}:`, error);
+    }
+  }
+}
+
+// Plan the week's unassigned chores and DM the draft to the admins (everyone
+// when no admins are listed). Skipped while an earlier draft awaits review.
+async function draftWeeklyAssignments() {
+  const { week, items } = await planAssignments();
+  if (items.length === 0) {
+    console.log('✅ No chores left to assign this week.');
+    return null;
+  }
+  if (await getOpenDraft(week)) {
+    console.log(`📝 The draft for ${week} is still waiting to be published.`);
+    return null;
+  }
+  
+  const draft = await getDraft(await createDraft(week, items, 'system'));
+  const previews = [];
+  for (const reviewerId of getConfig().admins || getConfig().roommates.map(r => r.slackId)) {
+    try {
+      const result = await sendDirectMessage(reviewerId, buildDraftMessage(draft));
+      previews.push({ channel: result.channel, ts: result.ts });
+    } catch (error) {
+      console.error(`Error sending draft to ${reviewerId}:`, error);
+    }
+  }
+  await updateDraft(draft.id, { previews });
+  return draft;
+}
+
+// /chore assign: plan this week's unfinished chores again, as a private draft
+async function handleAssignCommand(command, respond) {
+  const { week, items } = await planAssignments(0, { reassign: true });
+  if (items.length === 0) {
+    await respond('🎉 Nothing to assign: every scheduled chore this week is done, being verified or past due.');
+    return;
   }
   
-  return assignments;
+  const draft = await getDraft(await createDraft(week, items, command.user_id));
+  await respond(buildDraftMessage(draft));
 }
 
-function getNextDueDate(due, weekOffset = 0) {
-  if (due.weekday === -1) return null;
+app.action(/draft_assign_\d+/, async ({ body, ack, respond }) => {
+  await ack();
   
-  const now = dayjs().tz(TZ);
-  let targetWeek = now.add(weekOffset, 'week');
+  const { draftId, index, slackId } = JSON.parse(body.actions[0].selected_option.value);
+  const draft = await getDraft(draftId);
+  if (!draft || !draft.items[index]) {
+    await respond({ text: '🤔 That draft no longer exists.', replace_original: true });
+    return;
+  }
+  if (!canReviewDraft(draft, body.user.id)) {
+    await respond({ text: '🔒 Only house admins can change this draft.', replace_original: false, response_type: 'ephemeral' });
+    return;
+  }
   
-  const nextDue = targetWeek
-    .day(due.weekday)
-    .hour(due.hour)
-    .minute(due.minute)
-    .second(0);
+  const roommate = getConfig().roommates.find(r => r.slackId === slackId);
+  const picker = getConfig().roommates.find(r => r.slackId === body.user.id);
+  if (!roommate) return;
+  draft.items[index] = {
+    ...draft.items[index],
+    assignedTo: [roommate.slackId],
+    assigneeNames: [roommate.name],
+    rotationReason: `picked by ${picker?.name || 'an admin'} in the draft`
+  };
+  await updateDraft(draft.id, { items: draft.items });
+  await refreshDraftPreviews(draft, body, respond);
+});
+
+app.action('draft_publish', async ({ body, ack, respond }) => {
+  await ack();
   
-  // If scheduling for current week and it's already past due time, schedule for next week
-  if (weekOffset === 0 && nextDue.isBefore(now)) {
-    return nextDue.add(1, 'week').toISOString();
+  const draft = await getDraft(Number(body.actions[0].value));
+  if (!draft) {
+    await respond({ text: '🤔 That draft no longer exists.', replace_original: true });
+    return;
+  }
+  if (!canReviewDraft(draft, body.user.id)) {
+    await respond({ text: '🔒 Only house admins can publish this draft.', replace_original: false, response_type: 'ephemeral' });
+    return;
   }
   
-  return nextDue.toISOString();
+  try {
+    await queuePublish(draft.id, body.user.id);
+    await refreshDraftPreviews(await getDraft(draft.id), body, respond);
+  } catch (error) {
+    console.error('Error publishing draft:', error);
+    await respond({ text: '❌ Sorry, publishing failed. Nothing after the error was saved.', replace_original: false, response_type: 'ephemeral' });
+  }
+});
+
+// Scheduled chores on a week's board, soonest first
+function getBoardAssignments(week, history) {
+  return history
+    .filter(h => h.week === week && h.dueDate)
+    .sort((a, b) => dayjs(a.dueDate).valueOf() - dayjs(b.dueDate).valueOf());
 }
 
-async function postAssignments(assignments, channelId) {
-  if (assignments.length === 0) return;
+// The weekly post, drawn from the database so it can be redrawn in place as
+// chores get done: ✅ with who finished and when, or a Done button
+function buildWeeklyBoardBlocks(week, history) {
+  const now = dayjs().tz(getTimezone());
+  const rows = getBoardAssignments(week, history);
   
   const blocks = [
     {
@@ -442,29 +602,58 @@ async function postAssignments(assignments, channelId) {
     }
   ];
   
-  assignments.forEach(assignment => {
-    const dueText = assignment.dueDate 
-      ? dayjs(assignment.dueDate).tz(TZ).format('dddd, MMM D at h:mm A')
-      : 'No specific due date';
+  rows.forEach((assignment, index) => {
+    const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+    const completedBy = assignment.completedBy || [];
+    const assigneeText = assigneeIds.map(id => `<@${id}>`).join(' & ');
+    const due = dayjs(assignment.dueDate).tz(getTimezone());
     
-    // Handle both single assignee (legacy) and multiple assignees
-    let assigneeText = '';
-    if (Array.isArray(assignment.assignedTo)) {
-      assigneeText = assignment.assignedTo.map(id => `<@${id}>`).join(' & ');
+    let text;
+    if (assignment.completed) {
+      const doneBy = (completedBy.length > 0 ? completedBy : assigneeIds).map(id => `<@${id}>`).join(' & ');
+      const doneWhen = assignment.completedDate
+        ? ` on ${dayjs(assignment.completedDate).tz(getTimezone()).format('ddd, MMM D [at] h:mm A')}`
+        : '';
+      text = `✅ *${assignment.chore}*\n🙌 Done by ${doneBy}${doneWhen}`;
+    } else if (assignment.verificationStatus === 'pending') {
+      text = `🔍 *${assignment.chore}*\n👤 ${assigneeText}\n🔍 Done, waiting for <@${assignment.verifier}> to verify`;
     } else {
-      // Legacy format
-      assigneeText = `<@${assignment.assignedTo}>`;
+      text = `*${assignment.chore}*\n👤 ${assigneeText}\n📅 Due: ${due.format('dddd, MMM D [at] h:mm A')}${due.isBefore(now) ? ' ⚠️ overdue' : ''}`;
+      if (assignment.rotationReason) {
+        text += `\n🔁 Why: ${assignment.rotationReason}`;
+      }
+      if (completedBy.length > 0) {
+        const waitingFor = assigneeIds.filter(id => !completedBy.includes(id));
+        text += `\n⏳ ${completedBy.map(id => `<@${id}>`).join(' & ')} done, waiting for ${waitingFor.map(id => `<@${id}>`).join(' & ')}`;
+      }
+      if (assignment.verificationStatus === 'rejected') {
+        text += `\n❌ Not accepted by <@${assignment.verifier}>, needs another go`;
+      }
     }
-      
-    blocks.push({
+    
+    const block = {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*${assignment.chore}*\n👤 ${assigneeText}\n📅 Due: ${dueText}`
+        text
       }
-    });
+    };
+    if (!assignment.completed && assignment.verificationStatus !== 'pending') {
+      block.accessory = {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Done'
+        },
+        style: 'primary',
+        action_id: `complete_${index}`,
+        value: JSON.stringify({ id: assignment.id, board: true })
+      };
+    }
+    blocks.push(block);
   });
   
+  const doneCount = rows.filter(h => h.completed).length;
   blocks.push(
     {
       type: 'divider'
@@ -474,16 +663,150 @@ async function postAssignments(assignments, channelId) {
       elements: [
         {
           type: 'mrkdwn',
-          text: 'DM me "done" when you complete your chore! 💪'
+          text: doneCount === rows.length
+            ? `🎉 All ${rows.length} chores done!`
+            : `${doneCount}/${rows.length} done. Tap Done or DM me "done" when you complete your chore! 💪`
         }
       ]
     }
   );
   
-  await app.client.chat.postMessage({
-    token: process.env.SLACK_BOT_TOKEN,
+  return blocks;
+}
+
+async function postAssignments(assignments, channelId) {
+  if (assignments.length === 0) return;
+  
+  const week = assignments[0].week;
+  const result = await app.client.chat.postMessage({
+    token: getBotToken(),
     channel: channelId,
-    blocks: blocks
+    text: '🏠 This Week\'s Chore Assignments',
+    blocks: buildWeeklyBoardBlocks(week, await loadHistory())
+  });
+  
+  // Remember the post so it can be updated in place and swaps can reply in its thread
+  await saveWeeklyPost(week, channelId, result.ts);
+}
+
+// Redraw a week's post after its assignments change
+async function refreshWeeklyPost(week) {
+  const history = await loadHistory();
+  const weeklyPost = await getWeeklyPost(week);
+  
+  if (weeklyPost) {
+    await app.client.chat.update({
+      token: getBotToken(),
+      channel: weeklyPost.channel,
+      ts: weeklyPost.ts,
+      text: '🏠 This Week\'s Chore Assignments',
+      blocks: buildWeeklyBoardBlocks(week, history)
+    });
+  }
+  
+  if (week === formatWeek(dayjs().tz(getTimezone()))) {
+    await celebrateWeekIfDone(history);
+  }
+}
+
+// Collect keys (users, weeks) and run `handler` once per key after a short
+// pause, so a burst of database changes means one Slack update each. Keys
+// remember the household they changed in, since one batch can span several.
+function createBatcher(handler, delayMs = 1000) {
+  const pending = new Map();
+  let timer = null;
+  
+  return keys => {
+    const household = currentHousehold();
+    keys.forEach(key => pending.set(`${household.id}:${key}`, { household, key }));
+    if (timer || pending.size === 0) return;
+    
+    timer = setTimeout(async () => {
+      timer = null;
+      const batch = [...pending.values()];
+      pending.clear();
+      for (const { household, key } of batch) {
+        try {
+          await runInHousehold(household, () => handler(key));
+        } catch (error) {
+          console.error(`Error updating Slack for ${key}:`, error);
+        }
+      }
+    }, delayMs);
+  };
+}
+
+const scheduleWeeklyPostRefresh = createBatcher(refreshWeeklyPost);
+
+
+async function sendDirectMessage(userId, message) {
+  const dm = await app.client.conversations.open({
+    token: getBotToken(),
+    users: userId
+  });
+  
+  return app.client.chat.postMessage({
+    token: getBotToken(),
+    channel: dm.channel.id,
+    ...(typeof message === 'string' ? { text: message } : message)
+  });
+}
+
+// Slack profile timezones, looked up at most once a day per person
+const PROFILE_TIMEZONE_TTL_MS = 24 * 60 * 60 * 1000;
+const profileTimezones = new Map();
+
+// The timezone someone reads times in: `timezone` on the roommate, then their
+// Slack profile's, then the household's
+async function getUserTimezone(slackId) {
+  const roommate = getConfig().roommates.find(r => r.slackId === slackId);
+  if (roommate?.timezone) return roommate.timezone;
+  
+  const cached = profileTimezones.get(slackId);
+  if (!cached || Date.now() - cached.fetchedAt > PROFILE_TIMEZONE_TTL_MS) {
+    let timezone = null;
+    try {
+      const result = await app.client.users.info({ token: getBotToken(), user: slackId });
+      if (result.user?.tz && isValidTimezone(result.user.tz)) timezone = result.user.tz;
+    } catch (error) {
+      console.error(`Error looking up the timezone of ${slackId}:`, error);
+    }
+    profileTimezones.set(slackId, { timezone, fetchedAt: Date.now() });
+  }
+  return profileTimezones.get(slackId).timezone || getTimezone();
+}
+
+// A time as `slackId` would read it on their own clock
+async function formatTimeFor(slackId, time, format = 'ddd, MMM D [at] h:mm A') {
+  return dayjs(time).tz(await getUserTimezone(slackId)).format(format);
+}
+
+// When `slackId`'s quiet hours around `time` end, or null if they're awake.
+// A roommate's `quietHours` wins over the house's; null turns them off.
+async function getQuietUntil(slackId, time) {
+  const roommate = getConfig().roommates.find(r => r.slackId === slackId);
+  const quietHours = roommate && roommate.quietHours !== undefined ? roommate.quietHours : getConfig().quietHours;
+  if (!quietHours) return null;
+  return quietHoursEnd(quietHours, time, await getUserTimezone(slackId));
+}
+
+// Post an update in the thread of the week's assignment post (or the channel if there is none)
+async function postWeeklyThreadUpdate(week, text) {
+  const weeklyPost = await getWeeklyPost(week);
+  
+  await app.client.chat.postMessage({
+    token: getBotToken(),
+    channel: weeklyPost ? weeklyPost.channel : getChannelId(),
+    thread_ts: weeklyPost ? weeklyPost.ts : undefined,
+    text
+  });
+}
+
+function getPendingAssignmentsFor(userId, history, week = formatWeek(dayjs().tz(getTimezone()))) {
+  return history.filter(h => {
+    if (h.week !== week || h.completed) return false;
+    const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
+    return assigneeIds.includes(userId);
   });
 }
 
@@ -496,22 +819,44 @@ app.command('/chore', async ({ command, ack, respond, client }) => {
     try {
       const text = command.text.trim().toLowerCase();
       
-      if (text.includes('trash') && text.includes('full')) {
-        await showShareDialog(command, 'trash', respond);
+      if (text === 'trigger' || text.startsWith('trigger ')) {
+        await handleTriggerCommand(command, text.replace(/^trigger\s*/, ''), respond);
+      } else if (text.includes('trash') && text.includes('full')) {
+        // Older shortcuts, kept for muscle memory
+        await handleTriggerCommand(command, 'trash', respond);
       } else if (text.includes('dishwasher') && (text.includes('full') || text.includes('empty'))) {
-        await showShareDialog(command, 'dishwasher', respond);
+        await handleTriggerCommand(command, 'dishwasher', respond);
       } else if (text === 'assign' || text === '') {
-        const assignments = await assignChores(true);
-        await postAssignments(assignments, process.env.CHANNEL_ID);
-        await respond('✅ Chores have been reassigned for this week!');
+        await handleAssignCommand(command, respond);
+      } else if (text === 'swap' || text.startsWith('swap ')) {
+        // Use the raw text: Slack user IDs in mentions are case-sensitive
+        await handleSwapCommand(command, command.text.trim().split(/\s+/).slice(1).join(' '), respond);
+      } else if (text === 'away' || text.startsWith('away ')) {
+        await handleAwayCommand(command, text.split(/\s+/).slice(1), respond);
+      } else if (text === 'undo' || text.startsWith('undo ')) {
+        await respond(await undoRecentCompletion(command.user_id, text.replace(/^undo\s*/, ''), await loadHistory(), dayjs().tz(getTimezone())));
+      } else if (text === 'log' || text.startsWith('log ')) {
+        await handleLogCommand(text.split(/\s+/)[1], respond);
+      } else if (text === 'me' || text === 'mine') {
+        await respond(buildAgendaMessage(command.user_id, await loadHistory(), null, await getUserTimezone(command.user_id), await loadBadges(command.user_id)));
+      } else if (text === 'bounty' || text.startsWith('bounty ')) {
+        await handleBountyCommand(command, text.replace(/^bounty\s*/, ''), respond);
+      } else if (text === 'balance' || text.startsWith('balance ')) {
+        await handleBalanceCommand(command, command.text.trim().split(/\s+/).slice(1).join(' '), respond);
+      } else if (text === 'stats' || text.startsWith('stats ')) {
+        await handleStatsCommand(command, command.text.trim().split(/\s+/).slice(1).join(' '), respond);
+      } else if (text === 'admin' || text.startsWith('admin ')) {
+        // Raw text keeps mentions and chore titles as typed
+        await handleAdminCommand(command, command.text.trim().replace(/^admin\s*/i, ''), respond);
+      } else if (text === 'export' || text.startsWith('export ')) {
+        await exportHistoryToSlack(command, text.split(/\s+/)[1] || 'json', respond);
       } else if (text === 'chart' || text === 'progress') {
         await postDailyProgressChart();
         await respond('📊 Progress chart posted!');
-      } else if (text === 'chart august' || text === 'chart aug') {
-        await postSpecificMonthChart('2025-M08');
-        await respond('📊 August 2025 chart posted!');
+      } else if (text.startsWith('chart ')) {
+        await handleChartRequest(text.slice('chart '.length), respond);
       } else {
-        await respond('Try: `/chore assign` to reassign chores, `/chore chart` to show progress, or `/chore trash is full` for manual triggers');
+        await respond('Try: `/chore me` to see your chores, `/chore undo` to take back your last "done", `/chore assign` to reassign chores, `/chore chart` to show progress (or `/chore chart last month`), `/chore stats [@someone|all]` for long-term stats, `/chore away 2025-08-01 2025-08-10` before a trip, `/chore log` for recent activity, `/chore swap @someone` to hand off a chore, `/chore bounty vacuum 2` to offer a chore for bonus points, `/chore balance` for your points, `/chore admin` to manage roommates and chores, `/chore export csv` to download history, or `/chore trigger recycling` when a manual chore needs doing');
       }
     } catch (error) {
       console.error('Error handling /chore command:', error);
@@ -520,483 +865,2749 @@ app.command('/chore', async ({ command, ack, respond, client }) => {
   });
 });
 
-async function showShareDialog(command, choreType, respond) {
-  const blocks = [
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `${choreType === 'trash' ? '🗑️' : '🍽️'} How would you like to handle this chore?`
-      }
-    },
-    {
-      type: 'actions',
-      elements: [
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: 'Solo Task'
-          },
-          action_id: 'solo_task',
-          value: JSON.stringify({ type: choreType, userId: command.user_id }),
-          style: 'primary'
-        },
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: 'Shared Task'
-          },
-          action_id: 'shared_task',
-          value: JSON.stringify({ type: choreType, userId: command.user_id })
-        }
-      ]
-    }
-  ];
+async function handleAwayCommand(command, args, respond) {
+  const today = dayjs().tz(getTimezone()).format('YYYY-MM-DD');
   
-  await respond({ blocks });
-}
-
-async function handleChoreAssignment(choreType, assignees, triggeredBy, respond) {
-  const history = await loadHistory();
-  let chore;
+  if (args[0] === 'clear') {
+    const removed = await deleteAwayPeriods(command.user_id, today);
+    if (removed > 0) await recordAudit('away_cleared', command.user_id, null, { from: today });
+    await respond(removed > 0
+      ? `🏠 Welcome back! Cleared ${removed} upcoming away period${removed === 1 ? '' : 's'}.`
+      : '🤔 You have no upcoming away periods to clear.');
+    return;
+  }
   
-  if (choreType === 'trash') {
-    chore = config.chores.find(c => c.title.toLowerCase().includes('trash'));
-  } else if (choreType === 'dishwasher') {
-    chore = config.chores.find(c => c.title.toLowerCase().includes('dish'));
+  if (args.length === 0) {
+    const awayPeriods = await getAwayPeriods();
+    const upcoming = (awayPeriods[command.user_id] || []).filter(p => p.end >= today);
+    await respond(upcoming.length > 0
+      ? `✈️ You're marked away:\n${upcoming.map(p => `• ${p.start} → ${p.end}`).join('\n')}`
+      : "🏠 You're not marked away. Use `/chore away <start> <end>` (YYYY-MM-DD) before a trip.");
+    return;
   }
   
-  if (!chore) {
-    await respond(`❌ No ${choreType}-related chore found in config`);
+  const start = parseDay(args[0]);
+  const end = parseDay(args[1] || args[0]);
+  if (!start || !end) {
+    await respond('Usage: `/chore away 2025-08-01 2025-08-10` (dates are inclusive), `/chore away` to list, `/chore away clear` to cancel');
+    return;
+  }
+  if (end.isBefore(start)) {
+    await respond('❌ The end date must be on or after the start date.');
     return;
   }
   
-  const currentMonth = dayjs().tz(TZ).format('YYYY-[M]MM');
-  const currentWeek = formatWeek(dayjs().tz(TZ));
-  const assigneeIds = assignees.map(a => a.slackId);
-  const assigneeNames = assignees.map(a => a.name);
+  await saveAwayPeriod(command.user_id, start.format('YYYY-MM-DD'), end.format('YYYY-MM-DD'));
+  await recordAudit('away_added', command.user_id, null, { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') });
+  await respond(`✈️ Got it! You won't be assigned chores or sent reminders from ${start.format('ddd, MMM D')} to ${end.format('ddd, MMM D')}.`);
+}
+
+async function exportHistoryToSlack(command, format, respond) {
+  if (format !== 'json' && format !== 'csv') {
+    await respond('Usage: `/chore export json` or `/chore export csv`');
+    return;
+  }
   
-  const assignment = {
-    month: currentMonth,
-    week: currentWeek,
-    chore: chore.title,
-    assignedTo: assigneeIds,
-    assigneeNames: assigneeNames,
-    date: dayjs().tz(TZ).toISOString(),
-    dueDate: null,
-    completed: false,
-    completedBy: [],
-    triggeredBy: triggeredBy
-  };
+  const content = await exportHistory(format);
+  const filename = `chore-history-${dayjs().tz(getTimezone()).format('YYYY-MM-DD')}.${format}`;
   
-  await saveAssignment(assignment);
+  await app.client.files.uploadV2({
+    token: getBotToken(),
+    channel_id: command.channel_id,
+    filename,
+    content,
+    initial_comment: `📦 Chore history export requested by <@${command.user_id}>`
+  });
+  await respond(`📦 Exported chore history as \`${filename}\``);
+}
+
+const ADMIN_USAGE = [
+  '*Roommates*',
+  '• `/chore admin roommate add @someone Name`',
+  '• `/chore admin roommate edit @someone name=Sam lead=30,120 tz=Europe/Berlin quiet=22:00-07:30`',
+  '• `/chore admin roommate remove @someone` (their pending chores go to others)',
+  '*Chores*',
+  '• `/chore admin chore add "Clean bathroom" due="sat 10:00" weight=2 strategy=round-robin`',
+  '• `/chore admin chore edit "Clean bathroom" due="mon,thu 8pm" owner=Sam lead=60 proof=photo,verify`',
+  '• `/chore admin chore remove "Clean bathroom"`',
+  '*Assignments*',
+  '• `/chore admin assignment list [2025-W32]` (this week by default)',
+  '• `/chore admin assignment show 42` (with its change history)',
+  '• `/chore admin assignment edit 42 assignee=@Sam done=no due="2025-08-09 12:00" chore="Vacuum upstairs"`',
+  '• `/chore admin assignment delete 42`',
+  '`due` takes `sat 12:00`, `mon,thu 8pm`, `manual` or `rrule:FREQ=...`. Changes apply from the next assignment.'
+].join('\n');
+
+// `admins` in config.json, or any roommate when none are listed
+function isAdmin(userId) {
+  return (getConfig().admins || getConfig().roommates.map(r => r.slackId)).includes(userId);
+}
+
+async function handleAdminCommand(command, argsText, respond) {
+  if (!isAdmin(command.user_id)) {
+    await respond('🔒 Only house admins can change roommates, chores and assignments.');
+    return;
+  }
   
-  const emoji = choreType === 'trash' ? '🗑️' : '🍽️';
-  const assigneeText = assigneeIds.map(id => `<@${id}>`).join(' & ');
-  await respond(`${emoji} *${chore.title}* has been assigned to ${assigneeText}!`);
+  const { positional, options } = parseAdminArgs(argsText);
+  const kind = (positional[0] || 'list').toLowerCase().replace(/s$/, '');
+  const action = (positional[1] || '').toLowerCase();
   
-  // DM all assignees
-  for (const assigneeId of assigneeIds) {
-    try {
-      const dm = await app.client.conversations.open({
-        token: process.env.SLACK_BOT_TOKEN,
-        users: assigneeId
-      });
-      
-      let message = `${emoji} Hey! You've been assigned: *${chore.title}*`;
-      if (assigneeIds.length > 1) {
-        const others = assigneeNames.filter((_, i) => assigneeIds[i] !== assigneeId);
-        message += `\n\n👥 Shared with: ${others.join(', ')}`;
-      }
-      message += '\n\nReply "done" when complete!';
-      
-      await app.client.chat.postMessage({
-        token: process.env.SLACK_BOT_TOKEN,
-        channel: dm.channel.id,
-        text: message
-      });
-    } catch (error) {
-      console.error(`Error sending DM to ${assigneeId}:`, error);
+  try {
+    if (kind === 'list') {
+      await respond(formatRoster());
+    } else if (kind === 'roommate') {
+      await handleRoommateAdmin(command.user_id, action, positional.slice(2), options, respond);
+    } else if (kind === 'chore') {
+      await handleChoreAdmin(command.user_id, action, positional.slice(2), options, respond);
+    } else if (kind === 'assignment') {
+      await handleAssignmentAdmin(command.user_id, action, positional.slice(2), options, respond);
+    } else {
+      await respond(ADMIN_USAGE);
     }
+  } catch (error) {
+    // Bad input is reported back; nothing was saved
+    await respond(`❌ ${error.message}`);
   }
 }
 
-// Standalone chart command
-app.command('/chart', async ({ command, ack, respond }) => {
-  await ack();
-  
-  setImmediate(async () => {
-    try {
-      const text = command.text.trim().toLowerCase();
-      
-      if (text === 'august' || text === 'aug') {
-        await postSpecificMonthChart('2025-M08');
-        await respond('📊 August 2025 chart posted!');
-      } else {
-        await postDailyProgressChart();
-        await respond('📊 Progress chart posted!');
-      }
-    } catch (error) {
-      console.error('Error handling /chart command:', error);
-      await respond('❌ Sorry, something went wrong!');
+function formatLeadMinutes(leads) {
+  return `reminders ${[].concat(leads).join(', ')} min before`;
+}
+
+function formatRoster() {
+  const roommates = getConfig().roommates.map(r => {
+    const details = [];
+    if (r.reminderLeadMinutes !== undefined) details.push(formatLeadMinutes(r.reminderLeadMinutes));
+    if (r.timezone) details.push(r.timezone);
+    if (r.quietHours !== undefined) details.push(r.quietHours ? `quiet ${describeQuietHours(r.quietHours)}` : 'no quiet hours');
+    return `• ${r.name} (<@${r.slackId}>)${details.map(detail => `, ${detail}`).join('')}`;
+  });
+  const chores = getConfig().chores.map(c => {
+    const details = [describeDue(c.due), `weight ${c.weight ?? 1}`, c.strategy || 'balanced'];
+    if (c.owner) details.push(`owner ${getConfig().roommates.find(r => r.slackId === c.owner || r.name === c.owner)?.name || c.owner}`);
+    if (c.reminderLeadMinutes !== undefined) details.push(formatLeadMinutes(c.reminderLeadMinutes));
+    if (c.aliases?.length) details.push(`aliases: ${c.aliases.join(', ')}`);
+    if (c.proof?.photo || c.proof?.verify) {
+      details.push(`proof: ${[c.proof.photo && 'photo', c.proof.verify && 'verified'].filter(Boolean).join(' + ')}`);
     }
+    return `• *${c.title}*: ${details.join(', ')}`;
   });
-});
+  return `🏠 *Roommates*\n${roommates.join('\n')}\n\n🧹 *Chores*\n${chores.join('\n')}\n\n${ADMIN_USAGE}`;
+}
 
-// Handle solo task button click
-app.action('solo_task', async ({ body, ack, respond }) => {
-  await ack();
-  
-  const value = JSON.parse(body.actions[0].value);
-  const history = await loadHistory();
+// Check the change against the merged getConfig(), then persist it and switch to it
+// right away so the next assignment, reminder or chart picks it up
+async function applyRosterChange(kind, key, settings, actor) {
+  const updated = await readConfig([...(await loadRosterOverrides()), { kind, key, settings }]);
+  if (updated.roommates.length === 0) {
+    throw new Error('The house needs at least one roommate.');
+  }
   
-  let chore;
-  if (value.type === 'trash') {
-    chore = config.chores.find(c => c.title.toLowerCase().includes('trash'));
-  } else if (value.type === 'dishwasher') {
-    chore = config.chores.find(c => c.title.toLowerCase().includes('dish'));
+  await saveRosterOverride(kind, key, settings, actor);
+  await recordAudit(settings ? `admin_${kind}_saved` : `admin_${kind}_removed`, actor, null, { key, settings });
+  currentHousehold().config = updated;
+}
+
+// tz= and quiet= for a roommate. `tz=auto` goes back to their Slack profile's
+// timezone, `quiet=default` to the house's quiet hours and `quiet=none` turns
+// them off for this person.
+function applyLocalTimeOptions(roommate, options) {
+  if (options.tz === 'auto') {
+    delete roommate.timezone;
+  } else if (options.tz) {
+    if (!isValidTimezone(options.tz)) {
+      throw new Error(`"${options.tz}" isn't a timezone. Use a name like \`Europe/Berlin\`, or \`auto\` for their Slack profile's.`);
+    }
+    roommate.timezone = options.tz;
   }
   
-  const assignee = findNextAssignee(chore, history);
-  await handleChoreAssignment(value.type, [assignee], value.userId, respond);
-});
+  if (options.quiet === 'default') {
+    delete roommate.quietHours;
+  } else if (options.quiet === 'none') {
+    roommate.quietHours = null;
+  } else if (options.quiet) {
+    roommate.quietHours = parseQuietHours(options.quiet);
+  }
+}
 
-// Handle shared task button click - show user selection
-app.action('shared_task', async ({ body, ack, respond }) => {
-  await ack();
+async function handleRoommateAdmin(actor, action, args, options, respond) {
+  if (action === 'add') {
+    const mention = (args[0] || '').match(/^<@([UW][A-Z0-9]+)(?:\|([^>]*))?>$/);
+    if (!mention) throw new Error('Mention the new roommate, e.g. `/chore admin roommate add @sam Sam`');
+    
+    const name = args.slice(1).join(' ') || options.name || mention[2];
+    if (!name) throw new Error('Add a name after the mention, e.g. `/chore admin roommate add @sam Sam`');
+    if (getConfig().roommates.some(r => r.slackId === mention[1])) throw new Error(`<@${mention[1]}> is already a roommate.`);
+    
+    const roommate = { name, slackId: mention[1] };
+    if (options.lead) roommate.reminderLeadMinutes = parseLeadMinutes(options.lead);
+    applyLocalTimeOptions(roommate, options);
+    
+    await applyRosterChange('roommate', roommate.slackId, roommate, actor);
+    await respond(`✅ Added ${name}. They'll be in the rotation from the next assignment.`);
+    return;
+  }
   
-  const value = JSON.parse(body.actions[0].value);
+  const roommate = args[0] ? findRoommateByMention(args.join(' ')) : null;
+  if ((action === 'edit' || action === 'remove') && !roommate) {
+    throw new Error(`I couldn't find that roommate. Try \`/chore admin roommate ${action} @someone\``);
+  }
   
-  // Show user selection interface
-  const blocks = [
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: '👥 Who will share this task? (Select 2-3 people)'
-      }
-    },
-    {
-      type: 'actions',
-      elements: config.roommates.map(roommate => ({
-        type: 'button',
-        text: {
-          type: 'plain_text',
-          text: roommate.name
-        },
-        action_id: `select_${roommate.slackId}`,
-        value: JSON.stringify({ 
-          type: value.type, 
-          userId: value.userId,
-          selectedUsers: []
-        })
-      }))
+  if (action === 'edit') {
+    const updated = { ...roommate };
+    if (options.name) updated.name = options.name;
+    if (options.lead) updated.reminderLeadMinutes = parseLeadMinutes(options.lead);
+    applyLocalTimeOptions(updated, options);
+    if (!options.name && !options.lead && !options.tz && !options.quiet) {
+      throw new Error('Nothing to change. Use `name=`, `lead=`, `tz=` and/or `quiet=`.');
     }
-  ];
+    
+    await applyRosterChange('roommate', roommate.slackId, updated, actor);
+    await respond(`✅ Updated ${updated.name}.`);
+  } else if (action === 'remove') {
+    await applyRosterChange('roommate', roommate.slackId, null, actor);
+    const moved = await redistributePendingAssignments(roommate, actor);
+    await respond(moved.length > 0
+      ? `✅ Removed ${roommate.name}. Their pending chores were handed off:\n${moved.join('\n')}`
+      : `✅ Removed ${roommate.name}. They had no pending chores.`);
+  } else {
+    await respond(ADMIN_USAGE);
+  }
+}
+
+// Validated chore fields from key=value options
+function parseChoreOptions(options) {
+  const fields = {};
+  if (options.due) fields.due = parseDueText(options.due);
+  if (options.weight) {
+    fields.weight = Number(options.weight);
+    if (!(fields.weight > 0)) throw new Error(`Invalid weight "${options.weight}" (use a positive number)`);
+  }
+  if (options.strategy) {
+    if (!ROTATION_STRATEGIES[options.strategy]) {
+      throw new Error(`Unknown strategy "${options.strategy}" (use ${Object.keys(ROTATION_STRATEGIES).join(', ')})`);
+    }
+    fields.strategy = options.strategy;
+  }
+  if (options.owner) {
+    const owner = findRoommateByMention(options.owner);
+    if (!owner) throw new Error(`I couldn't find a roommate called "${options.owner}".`);
+    fields.owner = owner.slackId;
+  }
+  if (options.lead) fields.reminderLeadMinutes = parseLeadMinutes(options.lead);
+  if (options.aliases) {
+    // Extra names for /chore trigger, e.g. aliases=recycling,bins
+    fields.aliases = options.aliases.split(',').map(alias => alias.trim()).filter(Boolean);
+  }
+  if (options.proof) {
+    // proof=photo, proof=verify, proof=photo,verify or proof=none
+    const kinds = options.proof.toLowerCase().split(',').filter(Boolean);
+    if (kinds.some(kind => !['photo', 'verify', 'none'].includes(kind))) {
+      throw new Error(`Invalid proof "${options.proof}" (use photo, verify, photo,verify or none)`);
+    }
+    fields.proof = { photo: kinds.includes('photo'), verify: kinds.includes('verify') };
+  }
+  return fields;
+}
+
+async function handleChoreAdmin(actor, action, args, options, respond) {
+  const title = args.join(' ').trim();
+  const existing = getConfig().chores.find(c => c.title.toLowerCase() === title.toLowerCase());
   
-  await respond({ blocks });
-});
+  if (action === 'add') {
+    if (!title || !options.due) throw new Error('Usage: `/chore admin chore add "Clean bathroom" due="sat 10:00"`');
+    if (existing) throw new Error(`*${existing.title}* already exists. Use \`/chore admin chore edit\` to change it.`);
+    
+    const chore = { title, ...parseChoreOptions(options) };
+    if (chore.strategy === 'fixed' && !chore.owner) throw new Error('A fixed chore needs an `owner=`.');
+    
+    await applyRosterChange('chore', chore.title, chore, actor);
+    await respond(`✅ Added *${chore.title}* (${describeDue(chore.due)}).`);
+    return;
+  }
+  
+  if ((action === 'edit' || action === 'remove') && !existing) {
+    throw new Error(`I couldn't find a chore called "${title}". \`/chore admin list\` shows them all.`);
+  }
+  
+  if (action === 'edit') {
+    const fields = parseChoreOptions(options);
+    if (Object.keys(fields).length === 0) throw new Error('Nothing to change. Use `due=`, `weight=`, `strategy=`, `owner=`, `lead=`, `proof=` or `aliases=`.');
+    
+    const updated = { ...existing, ...fields };
+    if (updated.strategy === 'fixed' && !updated.owner) throw new Error('A fixed chore needs an `owner=`.');
+    
+    await applyRosterChange('chore', existing.title, updated, actor);
+    await respond(`✅ Updated *${existing.title}* (${describeDue(updated.due)}, weight ${updated.weight ?? 1}, ${updated.strategy || 'balanced'}).`);
+  } else if (action === 'remove') {
+    // Assignments already handed out stay so they can still be finished
+    await applyRosterChange('chore', existing.title, null, actor);
+    await respond(`✅ Removed *${existing.title}*. It won't be assigned again.`);
+  } else {
+    await respond(ADMIN_USAGE);
+  }
+}
 
-// Track selected users for shared tasks
-const sharedTaskSelections = new Map();
+// One line per assignment row for admin listings
+function describeAssignmentRow(h) {
+  const names = (h.assigneeNames || []).join(' & ');
+  const due = h.dueDate ? dayjs(h.dueDate).tz(getTimezone()).format('ddd, MMM D [at] h:mm A') : 'no due date';
+  let status = '⏳';
+  if (h.completed) status = '✅';
+  else if (h.verificationStatus === 'pending') status = '🔍';
+  else if ((h.completedBy || []).length > 0) status = '◐';
+  return `${status} #${h.id} *${h.chore}* (${h.week}) · ${names} · ${due}`;
+}
 
-// Handle user selection for shared tasks
-app.action(/select_U\w+/, async ({ body, ack, respond }) => {
-  await ack();
+// Turn `assignee=`, `done=`, `due=` and `chore=` into updates for `assignment`
+function parseAssignmentEdits(assignment, options) {
+  const updates = {};
   
-  const selectedUserId = body.actions[0].action_id.replace('select_', '');
-  const value = JSON.parse(body.actions[0].value);
-  const selectionKey = `${value.userId}_${value.type}`;
+  if (options.assignee || options.assignees) {
+    const assignees = (options.assignee || options.assignees).split(',').filter(Boolean).map(text => {
+      const roommate = findRoommateByMention(text);
+      if (!roommate) throw new Error(`I couldn't find a roommate called "${text}".`);
+      return roommate;
+    });
+    updates.assignedTo = assignees.map(r => r.slackId);
+    updates.assigneeNames = assignees.map(r => r.name);
+    updates.isShared = assignees.length > 1;
+    updates.creditPerPerson = assignees.length > 1 ? 0.5 : 1.0;
+    updates.completedBy = (assignment.completedBy || []).filter(id => updates.assignedTo.includes(id));
+  }
   
-  // Get or create selection list
-  if (!sharedTaskSelections.has(selectionKey)) {
-    sharedTaskSelections.set(selectionKey, []);
+  if (options.chore) {
+    const chore = getConfig().chores.find(c => c.title.toLowerCase() === options.chore.toLowerCase());
+    if (!chore) throw new Error(`I couldn't find a chore called "${options.chore}".`);
+    updates.chore = chore.title;
   }
   
-  const selectedUsers = sharedTaskSelections.get(selectionKey);
+  if (options.due) {
+    const day = parseDay(options.due.trim().split(' ')[0]);
+    const time = options.due.trim().match(/^\S+ (\d{1,2}):(\d{2})$/);
+    if (!day || !time || Number(time[1]) > 23 || Number(time[2]) > 59) {
+      throw new Error(`Invalid due "${options.due}" (use "YYYY-MM-DD HH:mm")`);
+    }
+    const due = dayjs.tz(`${day.format('YYYY-MM-DD')} ${time[1].padStart(2, '0')}:${time[2]}`, getTimezone());
+    updates.dueDate = due.toISOString();
+    updates.week = formatWeek(due);
+  }
   
-  // Toggle selection
-  if (selectedUsers.includes(selectedUserId)) {
-    // Remove from selection
-    sharedTaskSelections.set(selectionKey, selectedUsers.filter(id => id !== selectedUserId));
-  } else {
-    // Add to selection (max 3 people)
-    if (selectedUsers.length < 3) {
-      selectedUsers.push(selectedUserId);
-      sharedTaskSelections.set(selectionKey, selectedUsers);
+  if (options.done) {
+    const assignedTo = updates.assignedTo || [].concat(assignment.assignedTo);
+    if (/^(yes|y|true|1)$/i.test(options.done)) {
+      updates.completed = true;
+      updates.completedBy = assignedTo;
+      updates.completedDate = assignment.completedDate || dayjs().tz(getTimezone()).toISOString();
+      updates.verificationStatus = assignment.verificationStatus === 'pending' ? 'verified' : assignment.verificationStatus;
+    } else if (/^(no|n|false|0)$/i.test(options.done)) {
+      updates.completed = false;
+      updates.completedBy = [];
+      updates.completedDate = null;
+      updates.verificationStatus = null;
+      updates.verifier = null;
+    } else {
+      throw new Error(`Invalid done "${options.done}" (use yes or no)`);
     }
+  } else if (updates.assignedTo && !assignment.completed) {
+    // New assignees may already have everyone's part covered
+    updates.completed = updates.assignedTo.every(id => updates.completedBy.includes(id));
+    if (updates.completed) updates.completedDate = dayjs().tz(getTimezone()).toISOString();
   }
   
-  const updatedSelection = sharedTaskSelections.get(selectionKey);
+  return updates;
+}
+
+// Fix any assignment row by id. Every change is audited with the values
+// before and after.
+async function handleAssignmentAdmin(actor, action, args, options, respond) {
+  const history = await loadHistory();
+  
+  if (action === 'list' || action === '') {
+    const week = args[0] ? args[0].toUpperCase() : formatWeek(dayjs().tz(getTimezone()));
+    const rows = history
+      .filter(h => h.week === week)
+      .sort((a, b) => (a.dueDate || a.date).localeCompare(b.dueDate || b.date));
+    await respond(rows.length > 0
+      ? `📋 *Assignments for ${week}*\n${rows.map(describeAssignmentRow).join('\n')}`
+      : `📭 No assignments in ${week}.`);
+    return;
+  }
+  
+  const id = Number(args[0]);
+  const assignment = history.find(h => h.id === id);
+  if (!assignment) {
+    throw new Error(`I couldn't find assignment #${args[0] || '?'}. \`/chore admin assignment list\` shows ids.`);
+  }
+  
+  if (action === 'show') {
+    const entries = await loadAuditLog({ assignmentId: id, limit: 10 });
+    const historyById = new Map(history.map(h => [h.id, h]));
+    const trail = entries.map(e =>
+      `\`${dayjs.utc(e.createdAt).tz(getTimezone()).format('MMM D h:mm A')}\` ${describeEvent(e, historyById)}`
+    );
+    await respond(`${describeAssignmentRow(assignment)}\n\n🗂️ *History*\n${trail.length > 0 ? trail.join('\n') : 'No changes recorded.'}`);
+    return;
+  }
+  
+  if (action === 'edit') {
+    const updates = parseAssignmentEdits(assignment, options);
+    if (Object.keys(updates).length === 0) {
+      throw new Error('Nothing to change. Use `assignee=`, `done=`, `due=` or `chore=`.');
+    }
+    
+    const before = Object.fromEntries(Object.keys(updates).map(key => [key, assignment[key] ?? null]));
+    await updateAssignment(id, updates);
+    await recordAudit('admin_assignment_edited', actor, id, { before, after: updates });
+    await respond(`✅ Updated:\n${describeAssignmentRow({ ...assignment, ...updates })}`);
+    return;
+  }
+  
+  if (action === 'delete' || action === 'remove') {
+    await deleteAssignment(id);
+    await recordAudit('admin_assignment_deleted', actor, id, { before: assignment });
+    await respond(`🗑️ Deleted #${id} *${assignment.chore}* (${assignment.week}).`);
+    return;
+  }
+  
+  await respond(ADMIN_USAGE);
+}
+
+// Move `from`'s place on one assignment to whoever the rotation picks next,
+// DM them and note it in the weekly thread. `why` explains it in the DM, e.g.
+// "Sam left the chore rotation". Returns a line for the confirmation.
+async function handOffAssignment(assignment, from, { actor, reason, why, history, now, awayPeriods, adjustments }) {
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  const chore = getConfig().chores.find(c => c.title === assignment.chore) || { title: assignment.chore };
+  const { roommate: replacement } = chooseAssignee(getConfig(), chore, history, now, {
+    exclude: new Set(assigneeIds),
+    awayPeriods,
+    adjustments,
+    date: assignment.dueDate ? dayjs(assignment.dueDate).tz(getTimezone()) : now
+  });
+  
+  // On a shared chore where everyone else is already an assignee, the rest just carry on
+  const assignedTo = assigneeIds.includes(replacement.slackId)
+    ? assigneeIds.filter(id => id !== from.slackId)
+    : assigneeIds.map(id => (id === from.slackId ? replacement.slackId : id));
+  const assigneeNames = assignedTo.map(id => getConfig().roommates.find(r => r.slackId === id)?.name || id);
+  const completedBy = (assignment.completedBy || []).filter(id => id !== from.slackId);
+  const completed = assignedTo.every(id => completedBy.includes(id));
+  
+  const updates = { assignedTo, assigneeNames, completedBy, isShared: assignedTo.length > 1 };
+  if (completed) {
+    updates.completed = true;
+    updates.completedDate = now.toISOString();
+  }
+  await updateAssignment(assignment.id, updates);
+  Object.assign(assignment, updates);
+  await recordAudit('reassigned', actor, assignment.id, {
+    reason,
+    previousAssignedTo: assigneeIds,
+    assignedTo
+  });
+  
+  if (assigneeIds.includes(replacement.slackId)) {
+    return `• *${assignment.chore}* → stays with ${assigneeNames.join(' & ')}`;
+  }
+  
+  const dueText = assignment.dueDate
+    ? `, due ${await formatTimeFor(replacement.slackId, assignment.dueDate)}`
+    : '';
+  try {
+    await sendDirectMessage(
+      replacement.slackId,
+      `🧹 ${why}, so *${assignment.chore}*${dueText} is yours now.\n\nReply "done" when complete!`
+    );
+    await postWeeklyThreadUpdate(assignment.week, `↪️ *${assignment.chore}* moved from ${from.name} to <@${replacement.slackId}>`);
+  } catch (error) {
+    console.error(`Error announcing reassignment of ${assignment.chore}:`, error);
+  }
+  return `• *${assignment.chore}* → ${replacement.name}`;
+}
+
+// Hand a removed roommate's unfinished chores (this week and later) to others.
+// Returns a line per moved chore for the admin's confirmation.
+async function redistributePendingAssignments(removed, actor) {
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  const currentWeek = formatWeek(now);
+  const { awayPeriods, adjustments } = await getFairnessInputs();
+  const moved = [];
+  
+  const pending = history.filter(h => {
+    const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
+    return !h.completed && h.week >= currentWeek && assigneeIds.includes(removed.slackId);
+  });
+  
+  for (const assignment of pending) {
+    moved.push(await handOffAssignment(assignment, removed, {
+      actor,
+      reason: 'roommate_removed',
+      why: `${removed.name} left the chore rotation`,
+      history,
+      now,
+      awayPeriods,
+      adjustments
+    }));
+  }
+  
+  return moved;
+}
+
+// Most chores one agenda shows, to stay well within Slack's block limit
+const AGENDA_LIMIT = 15;
+
+// What someone still owes: unfinished chores from this week on, plus overdue
+// ones still within the overdue window, soonest first
+function getAgendaAssignments(userId, history, now) {
+  const currentWeek = formatWeek(now);
+  const { maxAgeDays } = getOverdueSettings();
+  
+  return history
+    .filter(h => {
+      const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
+      if (h.completed || !assigneeIds.includes(userId)) return false;
+      if (h.week >= currentWeek) return true;
+      return Boolean(h.dueDate) && now.diff(dayjs(h.dueDate), 'day', true) <= maxAgeDays;
+    })
+    .sort((a, b) => (a.dueDate ? dayjs(a.dueDate).valueOf() : Infinity) - (b.dueDate ? dayjs(b.dueDate).valueOf() : Infinity));
+}
+
+// Due time (in `timezone`, the reader's), overdue flag and shared partners
+// for one agenda entry
+function describeAgendaItem(assignment, userId, now, timezone) {
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  const lines = [`*${assignment.chore}*`];
+  
+  if (!assignment.dueDate) {
+    lines.push('📅 No specific due date');
+  } else {
+    const due = dayjs(assignment.dueDate).tz(timezone);
+    const dueText = due.format('ddd, MMM D [at] h:mm A');
+    if (due.isBefore(now)) {
+      lines.push(`⚠️ *Overdue*: was due ${dueText} (${formatHours(now.diff(due, 'hour', true))} ago)`);
+    } else {
+      lines.push(`📅 Due ${dueText} (in ${formatHours(due.diff(now, 'hour', true))})`);
+    }
+  }
+  
+  const partners = assigneeIds
+    .filter(id => id !== userId)
+    .map(id => getConfig().roommates.find(r => r.slackId === id)?.name || assignment.assigneeNames?.[assigneeIds.indexOf(id)] || id);
+  const doneMyPart = (assignment.completedBy || []).includes(userId);
+  if (assignment.verificationStatus === 'pending') {
+    const verifierName = getConfig().roommates.find(r => r.slackId === assignment.verifier)?.name || 'a roommate';
+    lines.push(`🔍 Waiting for ${verifierName} to verify`);
+  } else if (partners.length > 0) {
+    lines.push(doneMyPart ? `⏳ You're done, waiting for ${partners.join(', ')}` : `👥 Shared with: ${partners.join(', ')}`);
+  }
+  if (assignment.verificationStatus === 'rejected') {
+    lines.push('❌ Not accepted last time, please take another look');
+  }
+  if (getProofSettings(assignment.chore).photo && !doneMyPart) {
+    lines.push('📸 Needs a photo: send one to me in a DM');
+  }
+  
+  return { text: lines.join('\n'), doneMyPart };
+}
+
+// Ephemeral "what do I owe" view for /chore me, with times in `timezone`
+function buildAgendaMessage(userId, history, notice = null, timezone = getTimezone(), badges = []) {
+  const now = dayjs().tz(getTimezone());
+  const pending = getAgendaAssignments(userId, history, now);
+  
+  const blocks = [];
+  if (notice) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: notice } });
+  }
+  
+  if (pending.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: "🎉 You're all caught up. Nothing pending!" } });
+    if (badges.length > 0) blocks.push(buildBadgesBlock(badges));
+    return { text: "You're all caught up", blocks };
+  }
+  
+  blocks.push({
+    type: 'header',
+    text: {
+      type: 'plain_text',
+      text: `🧹 Your chores (${pending.length})`
+    }
+  });
+  
+  pending.slice(0, AGENDA_LIMIT).forEach((assignment, index) => {
+    const { text, doneMyPart } = describeAgendaItem(assignment, userId, now, timezone);
+    const block = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text
+      }
+    };
+    if (!doneMyPart) {
+      block.accessory = {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Done'
+        },
+        style: 'primary',
+        action_id: `complete_${index}`,
+        value: JSON.stringify({ id: assignment.id, agenda: true })
+      };
+    }
+    blocks.push(block);
+  });
+  
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: pending.length > AGENDA_LIMIT
+          ? `Showing the first ${AGENDA_LIMIT} of ${pending.length}. Times are ${timezone}.`
+          : `Times are ${timezone}. You can also DM me "done".`
+      }
+    ]
+  });
+  if (badges.length > 0) blocks.push(buildBadgesBlock(badges));
+  
+  return { text: `You have ${pending.length} pending chore${pending.length === 1 ? '' : 's'}`, blocks };
+}
+
+// Most badges /chore me and the Home tab list
+const BADGE_LIMIT = 6;
+
+// Badges from monthly recaps, newest first, e.g. "🔥 On a roll (Sep 2025)"
+function buildBadgesBlock(badges) {
+  const shown = badges.slice(0, BADGE_LIMIT).map(badge => {
+    const { emoji, name } = BADGES[badge.badge] || { emoji: '🏅', name: badge.badge };
+    return `${emoji} ${name} (${dayjs(`${badge.month.replace('M', '')}-01`).format('MMM YYYY')})`;
+  });
+  const more = badges.length > BADGE_LIMIT ? ` and ${badges.length - BADGE_LIMIT} more` : '';
+  return {
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `🏅 Your badges: ${shown.join(' · ')}${more}`
+      }
+    ]
+  };
+}
+
+function formatPercent(value) {
+  return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+function formatHours(hours) {
+  return hours < 24 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)} days`;
+}
+
+function formatCount(count) {
+  return count % 1 === 0 ? count.toString() : count.toFixed(1);
+}
+
+// Most entries /chore log shows, and how many per block to stay under
+// Slack's 3000 character section limit
+const LOG_LIMIT = 50;
+const LOG_LINES_PER_BLOCK = 15;
+
+// One line of the activity feed for an audit_log entry
+function describeEvent(entry, historyById) {
+  const details = entry.details || {};
+  const who = entry.actor && entry.actor !== 'system' ? `<@${entry.actor}>` : 'ChoreBot';
+  const by = entry.actor && entry.actor !== 'system' ? ` by ${who}` : '';
+  const chore = `*${historyById.get(entry.assignmentId)?.chore || details.before?.chore || details.chore || `#${entry.assignmentId}`}*`;
+  const people = ids => [].concat(ids || []).map(id => `<@${id}>`).join(' & ');
+  
+  switch (entry.action) {
+    case 'assignment_created':
+      return `🆕 ${chore} assigned to ${people(details.assignedTo)}${by}`;
+    case 'completed':
+      if (details.verifier) return `🔍 ${who} finished ${chore}, sent to <@${details.verifier}> to verify`;
+      return details.completed ? `✅ ${who} completed ${chore}` : `☑️ ${who} did their part of ${chore}`;
+    case 'completion_undone':
+      return `↩️ ${who} undid ${chore}`;
+    case 'reassigned':
+      return `↪️ ${chore} moved from ${people(details.previousAssignedTo)} to ${people(details.assignedTo)}${by}`;
+    case 'swap_proposed':
+      return `🔄 ${who} offered ${chore} to <@${details.toUser}>`;
+    case 'swap_accepted':
+      return `🤝 ${who} took over ${chore}`;
+    case 'swap_declined':
+      return `🙅 ${who} declined ${chore} from <@${details.fromUser}>`;
+    case 'reminder_sent':
+      return `⏰ Reminded <@${details.slackId}> about ${chore}`;
+    case 'proof_added':
+      return `📸 ${who} sent photo proof for ${chore}`;
+    case 'verification_requested':
+      return `🔍 Asked <@${details.verifier}> to verify ${chore}`;
+    case 'verification_approved':
+      return `✅ ${who} verified ${chore}`;
+    case 'verification_rejected':
+      return `❌ ${who} rejected ${chore}`;
+    case 'admin_assignment_edited':
+      return `🛠️ ${who} edited ${chore} (${Object.keys(details.after || {}).join(', ')})`;
+    case 'admin_assignment_deleted':
+      return `🗑️ ${who} deleted ${chore} (${details.before?.week})`;
+    case 'admin_roommate_saved':
+    case 'admin_roommate_removed':
+      return `🛠️ ${who} ${entry.action.endsWith('removed') ? 'removed' : 'updated'} roommate <@${details.key}>`;
+    case 'admin_chore_saved':
+    case 'admin_chore_removed':
+      return `🛠️ ${who} ${entry.action.endsWith('removed') ? 'removed' : 'updated'} chore *${details.key}*`;
+    case 'bounty_posted':
+      return `💰 ${who} offered ${chore} for +${details.points} pts`;
+    case 'bounty_claimed':
+      return `🤝 ${who} claimed ${chore} from <@${details.postedBy}> for +${details.points} pts`;
+    case 'bounty_cancelled':
+      return `🚫 ${who} withdrew the bounty on ${chore}`;
+    case 'draft_published':
+      return `📝 ${who} published the ${details.week} assignments`;
+    case 'away_added':
+      return `✈️ ${who} is away ${details.start} → ${details.end}`;
+    case 'away_cleared':
+      return `🏠 ${who} cleared their upcoming trips`;
+    default:
+      if (entry.action.startsWith('overdue_')) {
+        return `⚠️ ${chore} overdue (${details.stage}): ${entry.action.slice('overdue_'.length)}`;
+      }
+      return `• ${entry.action.replace(/_/g, ' ')}${entry.assignmentId ? ` ${chore}` : ''}${by}`;
+  }
+}
+
+// `/chore log [n]`: the latest n events, newest first
+async function handleLogCommand(countText, respond) {
+  const count = countText ? Number(countText) : 20;
+  if (!Number.isInteger(count) || count < 1) {
+    await respond(`Usage: \`/chore log [n]\` (up to ${LOG_LIMIT} entries, 20 by default)`);
+    return;
+  }
+  
+  const entries = await loadAuditLog({ limit: Math.min(count, LOG_LIMIT) });
+  if (entries.length === 0) {
+    await respond('📭 Nothing has happened yet.');
+    return;
+  }
+  
+  const historyById = new Map((await loadHistory()).map(h => [h.id, h]));
+  const lines = entries.map(entry =>
+    `\`${dayjs.utc(entry.createdAt).tz(getTimezone()).format('MMM D h:mm A')}\` ${describeEvent(entry, historyById)}`
+  );
+  
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🗂️ *Recent activity* (last ${entries.length})`
+      }
+    }
+  ];
+  for (let i = 0; i < lines.length; i += LOG_LINES_PER_BLOCK) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: lines.slice(i, i + LOG_LINES_PER_BLOCK).join('\n')
+      }
+    });
+  }
+  
+  await respond({ text: 'Recent activity', blocks });
+}
+
+async function handleStatsCommand(command, targetText, respond) {
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  
+  if (targetText.toLowerCase() === 'all' || targetText.toLowerCase() === 'house') {
+    await respond({ blocks: buildHouseStatsBlocks(history, now) });
+    return;
+  }
+  
+  const target = targetText
+    ? findRoommateByMention(targetText)
+    : getConfig().roommates.find(r => r.slackId === command.user_id);
+  if (!target) {
+    await respond('Usage: `/chore stats` for yourself, `/chore stats @roommate` for someone else, or `/chore stats all` for the whole house');
+    return;
+  }
+  
+  const stats = computeRoommateStats(history, target.slackId, now);
+  if (stats.totalScheduled === 0 && stats.manual.count === 0) {
+    await respond(`📭 ${target.name} doesn't have any chore history yet.`);
+    return;
+  }
+  
+  await respond({ blocks: buildRoommateStatsBlocks(target, stats) });
+}
+
+function buildRoommateStatsBlocks(roommate, stats) {
+  const latenessText = stats.lateCount > 0
+    ? `, ${stats.lateCount} late by ${formatHours(stats.averageHoursLate)} on average`
+    : '';
+  const summary = [
+    `✅ Completion: ${formatPercent(stats.completionRate)} (${stats.completedScheduled}/${stats.totalScheduled} scheduled chores)`,
+    `⏱️ On time: ${formatPercent(stats.onTimeRate)}${latenessText}`,
+    `🔥 On-time streak: ${stats.currentStreak} (best ${stats.bestStreak})`
+  ].join('\n');
+  
+  const choreLines = stats.perChore.map(c =>
+    `• ${c.chore}: ${createProgressBar(Math.round(c.rate * 100), 8)} ${formatPercent(c.rate)} (${c.completed}/${c.assigned})`
+  );
+  
+  // Arrow compares each month's completion rate with the month before
+  const trendLines = stats.trend.map((month, i) => {
+    if (month.assigned === 0) return `• ${month.month}: no chores`;
+    const previous = stats.trend[i - 1];
+    let arrow = '';
+    if (previous && previous.rate !== null) {
+      arrow = month.rate > previous.rate ? ' ↑' : (month.rate < previous.rate ? ' ↓' : ' →');
+    }
+    return `• ${month.month}: ${formatCount(month.completed)}/${formatCount(month.assigned)} (${formatPercent(month.rate)})${arrow}`;
+  });
+  
+  const manualLines = Object.entries(stats.manual.byChore).map(([chore, count]) => `• ${chore}: ${count}`);
+  const manualText = stats.manual.count > 0
+    ? `Picked up ${stats.manual.count} (${stats.manual.completed} done), ${formatPercent(stats.manual.share)} of the house's manual tasks\n${manualLines.join('\n')}`
+    : 'No manual trash or dishwasher pickups yet';
+  
+  return [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📈 Chore stats for ${roommate.name}`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: summary
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*By chore*\n${choreLines.length > 0 ? choreLines.join('\n') : 'No scheduled chores yet'}`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Month over month*\n${trendLines.join('\n')}`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*🗑️ Manual tasks*\n${manualText}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: 'Counts scheduled chores once they are done or past due. Shared chores count as half in monthly totals.'
+        }
+      ]
+    }
+  ];
+}
+
+function buildHouseStatsBlocks(history, now) {
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: '📈 House chore stats'
+      }
+    },
+    {
+      type: 'divider'
+    }
+  ];
+  
+  // Sort roommates alphabetically (no competition/ranking)
+  [...getConfig().roommates].sort((a, b) => a.name.localeCompare(b.name)).forEach(roommate => {
+    const stats = computeRoommateStats(history, roommate.slackId, now);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${roommate.name}*\n✅ ${formatPercent(stats.completionRate)} done · ⏱️ ${formatPercent(stats.onTimeRate)} on time · 🔥 streak ${stats.currentStreak} · 🗑️ ${stats.manual.count} manual pickups`
+      }
+    });
+  });
+  
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: 'Use `/chore stats @roommate` for per-chore rates and monthly trends.'
+      }
+    ]
+  });
+  return blocks;
+}
+
+// Chores with no schedule (`weekday: -1`), which roommates trigger when needed
+function getManualChores() {
+  return getConfig().chores.filter(isManualChore);
+}
+
+function getChoreEmoji(chore) {
+  return chore.emoji || '🧹';
+}
+
+// `/chore trigger <name or alias>`: find the manual chore, then ask solo or shared
+async function handleTriggerCommand(command, query, respond) {
+  const manualChores = getManualChores();
+  if (manualChores.length === 0) {
+    await respond('🤔 There are no manual chores. Give a chore `"due": { "weekday": -1 }` (or `due=manual` in `/chore admin`) to trigger it from here.');
+    return;
+  }
+  
+  const matches = query
+    ? matchNames(query, manualChores, chore => [chore.title, ...(chore.aliases || [])])
+    : manualChores;
+  
+  if (matches.length === 1) {
+    await showShareDialog(command.user_id, matches[0], respond);
+    return;
+  }
+  
+  if (matches.length === 0) {
+    const list = manualChores
+      .map(c => `• *${c.title}*${c.aliases?.length ? ` (${c.aliases.join(', ')})` : ''}`)
+      .join('\n');
+    await respond(`🤔 I couldn't find a manual chore called "${query}". You can trigger:\n${list}`);
+    return;
+  }
+  
+  // Ambiguous or no name given - ask which one
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: query ? `Which chore did you mean by "${query}"?` : 'Which chore needs doing?'
+      }
+    },
+    {
+      type: 'actions',
+      elements: matches.map((chore, index) => ({
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: `${getChoreEmoji(chore)} ${chore.title}`.slice(0, 75)
+        },
+        action_id: `trigger_pick_${index}`,
+        value: JSON.stringify({ chore: chore.title, userId: command.user_id })
+      }))
+    }
+  ];
+  
+  await respond({ blocks });
+}
+
+app.action(/trigger_pick_\d+/, async ({ body, ack, respond }) => {
+  await ack();
+  
+  const value = JSON.parse(body.actions[0].value);
+  const chore = getManualChores().find(c => c.title === value.chore);
+  if (!chore) {
+    await respond({ text: `🤔 *${value.chore}* is no longer a manual chore.`, replace_original: true });
+    return;
+  }
+  await showShareDialog(value.userId, chore, respond);
+});
+
+async function showShareDialog(userId, chore, respond) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${getChoreEmoji(chore)} *${chore.title}*: how would you like to handle this chore?`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Solo Task'
+          },
+          action_id: 'solo_task',
+          value: JSON.stringify({ chore: chore.title, userId }),
+          style: 'primary'
+        },
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Shared Task'
+          },
+          action_id: 'shared_task',
+          value: JSON.stringify({ chore: chore.title, userId })
+        }
+      ]
+    }
+  ];
+  
+  await respond({ blocks });
+}
+
+async function handleChoreAssignment(choreTitle, assignees, triggeredBy, respond) {
+  const chore = getManualChores().find(c => c.title === choreTitle);
+  
+  if (!chore) {
+    await respond(`❌ *${choreTitle}* is no longer a manual chore`);
+    return;
+  }
+  
+  const currentMonth = dayjs().tz(getTimezone()).format('YYYY-[M]MM');
+  const currentWeek = formatWeek(dayjs().tz(getTimezone()));
+  const assigneeIds = assignees.map(a => a.slackId);
+  const assigneeNames = assignees.map(a => a.name);
+  
+  const assignment = {
+    month: currentMonth,
+    week: currentWeek,
+    chore: chore.title,
+    assignedTo: assigneeIds,
+    assigneeNames: assigneeNames,
+    date: dayjs().tz(getTimezone()).toISOString(),
+    dueDate: null,
+    completed: false,
+    completedBy: [],
+    triggeredBy: triggeredBy
+  };
+  
+  assignment.id = await saveAssignment(assignment);
+  await recordAudit('assignment_created', triggeredBy, assignment.id, {
+    chore: assignment.chore,
+    week: assignment.week,
+    assignedTo: assigneeIds
+  });
+  
+  const emoji = getChoreEmoji(chore);
+  const assigneeText = assigneeIds.map(id => `<@${id}>`).join(' & ');
+  await respond(`${emoji} *${chore.title}* has been assigned to ${assigneeText}!`);
+  
+  // DM all assignees
+  for (const assigneeId of assigneeIds) {
+    try {
+      const dm = await app.client.conversations.open({
+        token: getBotToken(),
+        users: assigneeId
+      });
+      
+      let message = `${emoji} Hey! You've been assigned: *${chore.title}*`;
+      if (assigneeIds.length > 1) {
+        const others = assigneeNames.filter((_, i) => assigneeIds[i] !== assigneeId);
+        message += `\n\n👥 Shared with: ${others.join(', ')}`;
+      }
+      message += '\n\nReply "done" when complete!';
+      
+      await app.client.chat.postMessage({
+        token: getBotToken(),
+        channel: dm.channel.id,
+        text: message
+      });
+    } catch (error) {
+      console.error(`Error sending DM to ${assigneeId}:`, error);
+    }
+  }
+}
+
+// Standalone chart command
+app.command('/chart', async ({ command, ack, respond }) => {
+  await ack();
+  
+  setImmediate(async () => {
+    try {
+      const text = command.text.trim().toLowerCase();
+      
+      if (text === '') {
+        await postDailyProgressChart();
+        await respond('📊 Progress chart posted!');
+      } else {
+        await handleChartRequest(text, respond);
+      }
+    } catch (error) {
+      console.error('Error handling /chart command:', error);
+      await respond('❌ Sorry, something went wrong!');
+    }
+  });
+});
+
+// Handle solo task button click
+app.action('solo_task', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const value = JSON.parse(body.actions[0].value);
+  const history = await loadHistory();
+  const chore = getManualChores().find(c => c.title === value.chore);
+  if (!chore) {
+    await respond(`❌ *${value.chore}* is no longer a manual chore`);
+    return;
+  }
+  
+  const assignee = findNextAssignee(chore, history, await getFairnessInputs());
+  await handleChoreAssignment(chore.title, [assignee], value.userId, respond);
+});
+
+// Handle shared task button click - show user selection
+app.action('shared_task', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const value = JSON.parse(body.actions[0].value);
+  const availableRoommates = await getAvailableRoommates();
+  
+  // Show user selection interface (people who are away can't be picked)
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '👥 Who will share this task? (Select 2-3 people)'
+      }
+    },
+    {
+      type: 'actions',
+      elements: availableRoommates.map(roommate => ({
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: roommate.name
+        },
+        action_id: `select_${roommate.slackId}`,
+        value: JSON.stringify({ 
+          chore: value.chore, 
+          userId: value.userId,
+          selectedUsers: []
+        })
+      }))
+    }
+  ];
+  
+  await respond({ blocks });
+});
+
+// Track selected users for shared tasks
+const sharedTaskSelections = new Map();
+
+// Handle user selection for shared tasks
+app.action(/select_U\w+/, async ({ body, ack, respond }) => {
+  await ack();
+  
+  const selectedUserId = body.actions[0].action_id.replace('select_', '');
+  const value = JSON.parse(body.actions[0].value);
+  const selectionKey = `${value.userId}_${value.chore}`;
+  
+  // Get or create selection list
+  if (!sharedTaskSelections.has(selectionKey)) {
+    sharedTaskSelections.set(selectionKey, []);
+  }
+  
+  const selectedUsers = sharedTaskSelections.get(selectionKey);
+  
+  // Toggle selection
+  if (selectedUsers.includes(selectedUserId)) {
+    // Remove from selection
+    sharedTaskSelections.set(selectionKey, selectedUsers.filter(id => id !== selectedUserId));
+  } else {
+    // Add to selection (max 3 people)
+    if (selectedUsers.length < 3) {
+      selectedUsers.push(selectedUserId);
+      sharedTaskSelections.set(selectionKey, selectedUsers);
+    }
+  }
+  
+  const updatedSelection = sharedTaskSelections.get(selectionKey);
+  const availableRoommates = await getAvailableRoommates();
   const selectedNames = updatedSelection.map(id => 
-    config.roommates.find(r => r.slackId === id)?.name
+    getConfig().roommates.find(r => r.slackId === id)?.name
+  ).filter(Boolean);
+  
+  // Update the interface
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `👥 Selected: ${selectedNames.length > 0 ? selectedNames.join(', ') : 'None'} (${selectedNames.length}/3)`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        ...availableRoommates.map(roommate => ({
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: roommate.name
+          },
+          action_id: `select_${roommate.slackId}`,
+          value: JSON.stringify({ 
+            chore: value.chore, 
+            userId: value.userId,
+            selectedUsers: updatedSelection
+          }),
+          style: updatedSelection.includes(roommate.slackId) ? 'primary' : undefined
+        })),
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Assign Task'
+          },
+          action_id: 'confirm_shared_assignment',
+          value: JSON.stringify({ 
+            chore: value.chore, 
+            userId: value.userId,
+            selectedUsers: updatedSelection
+          }),
+          style: 'primary'
+        }
+      ]
+    }
+  ];
+  
+  await respond({ blocks, replace_original: true });
+});
+
+// Handle final shared task assignment
+app.action('confirm_shared_assignment', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const value = JSON.parse(body.actions[0].value);
+  const selectionKey = `${value.userId}_${value.chore}`;
+  const selectedUserIds = sharedTaskSelections.get(selectionKey) || [];
+  
+  if (selectedUserIds.length === 0) {
+    await respond({ text: '❌ Please select at least one person for the shared task.', replace_original: true });
+    return;
+  }
+  
+  const selectedUsers = selectedUserIds.map(id => 
+    getConfig().roommates.find(r => r.slackId === id)
+  ).filter(Boolean);
+  
+  await handleChoreAssignment(value.chore, selectedUsers, value.userId, respond);
+  
+  // Clean up selection tracking
+  sharedTaskSelections.delete(selectionKey);
+});
+
+const DM_HELP = [
+  "Here's what you can DM me:",
+  '• *done* or *done with vacuum*: mark a chore complete',
+  '• *undo* or *undo vacuum*: take back a completion',
+  '• *what do I have*: your pending chores',
+  '• *skip this week* or *skip vacuum*: hand your chores this week to someone else',
+  '• *swap vacuum with Zo*: ask a roommate to take one over',
+  'Slash commands work too: `/chore help`.'
+].join('\n');
+
+// Chores someone can still mark done now: this week's and recent overdue
+// ones, leaving out later weeks and anything waiting on verification
+function getOpenAssignments(userId, history, now) {
+  const currentWeek = formatWeek(now);
+  return getAgendaAssignments(userId, history, now).filter(h =>
+    h.week <= currentWeek
+    && h.verificationStatus !== 'pending'
+    && !(h.completedBy || []).includes(userId)
+  );
+}
+
+// Narrow `assignments` to the one `query` names. Returns { assignment } or
+// { reply } asking to clarify. Repeats of the same chore resolve to the
+// soonest one, since that's the one people mean.
+function resolveChore(query, assignments, verb) {
+  const list = assignments.map(h => `• ${h.chore}`).join('\n');
+  if (!query) {
+    if (assignments.length === 1) return { assignment: assignments[0] };
+    return { reply: `Which one do you want to ${verb}?\n${list}` };
+  }
+  
+  const matches = matchAssignments(query, assignments);
+  if (matches.length === 0) {
+    return { reply: `🤔 I couldn't find "${query}" in your chores. You have:\n${list}` };
+  }
+  if (new Set(matches.map(h => h.chore)).size > 1) {
+    return { reply: `🤔 "${query}" could be ${matches.map(h => `*${h.chore}*`).join(' or ')}. Which one do you want to ${verb}?` };
+  }
+  return { assignment: matches[0] };
+}
+
+// How long after marking something done people can undo it themselves.
+// `undo.windowMinutes` in config.json; admins can fix older ones.
+function getUndoWindowMinutes() {
+  return getConfig().undo?.windowMinutes ?? 60;
+}
+
+// Put someone's completion back to pending. A shared chore stays done for
+// the others; any verification starts over.
+async function undoCompletion(assignment, userId) {
+  const completedBy = (assignment.completedBy || []).filter(id => id !== userId);
+  await updateAssignment(assignment.id, {
+    completedBy,
+    completed: false,
+    completedDate: null,
+    verificationStatus: null,
+    verifier: null
+  });
+  await recordAudit('completion_undone', userId, assignment.id, {
+    before: { completed: assignment.completed, completedBy: assignment.completedBy, completedDate: assignment.completedDate }
+  });
+  return `↩️ *${assignment.chore}* is back on your list.`;
+}
+
+// Undo the latest of `userId`'s completions within the undo window, or the
+// one `query` names. Returns the reply to show.
+async function undoRecentCompletion(userId, query, history, now) {
+  const windowMinutes = getUndoWindowMinutes();
+  const entries = await loadAuditLog({
+    actor: userId,
+    action: 'completed',
+    since: now.subtract(windowMinutes, 'minute').toISOString(),
+    limit: 50
+  });
+  
+  // Newest first, once each, and only ones still marked done by them
+  const recent = [...new Set(entries.map(e => e.assignmentId))]
+    .map(id => history.find(h => h.id === id))
+    .filter(h => h && (h.completedBy || []).includes(userId));
+  
+  if (recent.length === 0) {
+    return `🤔 You haven't marked anything done in the last ${formatLeadTime(windowMinutes)}, so there's nothing to undo. An admin can fix older ones with \`/chore admin assignment\`.`;
+  }
+  
+  if (!query) return undoCompletion(recent[0], userId);
+  
+  const { assignment, reply } = resolveChore(query, recent, 'undo');
+  return assignment ? undoCompletion(assignment, userId) : reply;
+}
+
+async function handleDoneIntent(userId, query, history, now, say) {
+  const open = getOpenAssignments(userId, history, now);
+  if (open.length === 0) {
+    await say("🤔 I don't see any pending chores assigned to you this week.");
+    return;
+  }
+  
+  if (query) {
+    const { assignment, reply } = resolveChore(query, open, 'mark done');
+    await say(assignment ? await completeAssignment(assignment, userId) : reply);
+    return;
+  }
+  
+  if (open.length === 1) {
+    await say(await completeAssignment(open[0], userId));
+    return;
+  }
+  
+  // Several pending and none named - ask which one
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Which chore did you complete?'
+      }
+    },
+    {
+      type: 'actions',
+      elements: open.map((assignment, index) => ({
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: assignment.chore
+        },
+        action_id: `complete_${index}`,
+        value: JSON.stringify({ id: assignment.id, week: assignment.week, chore: assignment.chore })
+      }))
+    }
+  ];
+  
+  await say({ blocks });
+}
+
+async function handleSkipIntent(userId, query, history, now, say) {
+  const roommate = getConfig().roommates.find(r => r.slackId === userId);
+  const thisWeek = getOpenAssignments(userId, history, now).filter(h => h.week === formatWeek(now));
+  if (!roommate || thisWeek.length === 0) {
+    await say("🤔 You don't have any pending chores this week to skip.");
+    return;
+  }
+  
+  let skipping = thisWeek;
+  if (query) {
+    const { assignment, reply } = resolveChore(query, thisWeek, 'skip');
+    if (!assignment) {
+      await say(reply);
+      return;
+    }
+    skipping = [assignment];
+  }
+  
+  const { awayPeriods, adjustments } = await getFairnessInputs();
+  const moved = [];
+  for (const assignment of skipping) {
+    moved.push(await handOffAssignment(assignment, roommate, {
+      actor: userId,
+      reason: 'skipped',
+      why: `${roommate.name} is skipping it this week`,
+      history,
+      now,
+      awayPeriods,
+      adjustments
+    }));
+  }
+  await say(`👋 No problem, I handed these off:\n${moved.join('\n')}`);
+}
+
+async function handleSwapIntent(userId, query, targetText, history, now, say) {
+  const target = targetText ? findRoommateByMention(targetText) : null;
+  if (!target) {
+    await say(targetText
+      ? `🤔 I don't know a roommate called "${targetText}". Try *swap vacuum with @name*.`
+      : 'Who with? Try *swap vacuum with @name*.');
+    return;
+  }
+  if (target.slackId === userId) {
+    await say("🤔 You can't swap a chore with yourself.");
+    return;
+  }
+  
+  const pending = getPendingAssignmentsFor(userId, history, formatWeek(now));
+  if (pending.length === 0) {
+    await say("🤔 You don't have any pending chores this week to swap.");
+    return;
+  }
+  
+  const { assignment, reply } = resolveChore(query, pending, `offer to ${target.name}`);
+  await say(assignment ? await proposeSwap(assignment, userId, target) : reply);
+}
+
+// Handle DMs: "done", "undo", "what do I have", "skip", "swap" and friends
+app.message(async ({ message, say }) => {
+  // Photos (even captioned "done") are handled as proof below; edits and
+  // other bot messages are ignored
+  if (message.channel_type !== 'im' || message.subtype || message.bot_id) return;
+  
+  const intent = parseIntent(message.text);
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  
+  if (intent.type === 'done') {
+    await handleDoneIntent(message.user, intent.chore, history, now, say);
+  } else if (intent.type === 'negated') {
+    await say('👍 No rush. Tell me "done" (or "done with vacuum") once it\'s finished.');
+  } else if (intent.type === 'question') {
+    await say(`🤔 Are you telling me it's done? Reply "done${intent.chore ? ` with ${intent.chore}` : ''}" to mark it, or "what do I have" to see what's left.`);
+  } else if (intent.type === 'undo') {
+    await say(await undoRecentCompletion(message.user, intent.chore, history, now));
+  } else if (intent.type === 'agenda') {
+    await say(buildAgendaMessage(message.user, history, null, await getUserTimezone(message.user), await loadBadges(message.user)));
+  } else if (intent.type === 'skip') {
+    await handleSkipIntent(message.user, intent.chore, history, now, say);
+  } else if (intent.type === 'swap') {
+    await handleSwapIntent(message.user, intent.chore, intent.target, history, now, say);
+  } else if (intent.type === 'help') {
+    await say(DM_HELP);
+  } else {
+    await say(`🤔 Sorry, I didn't get that.\n\n${DM_HELP}`);
+  }
+});
+
+// `proof` on a chore in config.json: { "photo": true } asks for a photo before
+// it counts, and "verify": true has another roommate confirm it
+function getProofSettings(choreTitle) {
+  const proof = getConfig().chores.find(c => c.title === choreTitle)?.proof || {};
+  return { photo: Boolean(proof.photo), verify: Boolean(proof.verify) };
+}
+
+// Photos sent in a DM count as proof for chores that need it
+app.message(async ({ message, say }) => {
+  if (message.channel_type !== 'im' || message.subtype !== 'file_share') return;
+  
+  const images = (message.files || []).filter(file => file.mimetype?.startsWith('image/'));
+  if (images.length === 0) return;
+  
+  const now = dayjs().tz(getTimezone());
+  const needingProof = getAgendaAssignments(message.user, await loadHistory(), now).filter(h =>
+    getProofSettings(h.chore).photo
+    && h.verificationStatus !== 'pending'
+    && !(h.completedBy || []).includes(message.user)
+  );
+  
+  if (needingProof.length === 0) {
+    await say("📸 Nice photo! None of your pending chores need photo proof, so just reply \"done\" when you finish one.");
+    return;
+  }
+  
+  const image = images[0];
+  const proof = {
+    slackId: message.user,
+    fileId: image.id,
+    name: image.name,
+    url: image.url_private_download || image.url_private,
+    permalink: image.permalink,
+    at: now.toISOString()
+  };
+  
+  if (needingProof.length === 1) {
+    await say(await attachProof(needingProof[0], proof));
+    return;
+  }
+  
+  await say({
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'Which chore is this photo for?'
+        }
+      },
+      {
+        type: 'actions',
+        elements: needingProof.map((assignment, index) => ({
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: assignment.chore
+          },
+          action_id: `proof_pick_${index}`,
+          value: JSON.stringify({ id: assignment.id, proof })
+        }))
+      }
+    ]
+  });
+});
+
+app.action(/proof_pick_\d+/, async ({ body, ack, respond }) => {
+  await ack();
+  
+  const { id, proof } = JSON.parse(body.actions[0].value);
+  const assignment = getAgendaAssignments(body.user.id, await loadHistory(), dayjs().tz(getTimezone())).find(h => h.id === id);
+  await respond({
+    replace_original: true,
+    text: assignment && proof.slackId === body.user.id
+      ? await attachProof(assignment, proof)
+      : '🤔 That chore is no longer pending.'
+  });
+});
+
+// Record that `userId` finished their part of `assignment`. Shared chores
+// are only completed once every assignee has, and chores that need
+// verification wait for it first. Returns the reply to show.
+async function completeAssignment(assignment, userId) {
+  const proof = getProofSettings(assignment.chore);
+  if (assignment.verificationStatus === 'pending') {
+    return `🔍 *${assignment.chore}* is already waiting for verification.`;
+  }
+  if (proof.photo && !(assignment.proofFiles || []).some(p => p.slackId === userId)) {
+    return `📸 *${assignment.chore}* needs photo proof. Send me a photo of it in a DM and I'll mark it done.`;
+  }
+  
+  // Mark as completed by this user
+  if (!Array.isArray(assignment.completedBy)) {
+    assignment.completedBy = [];
+  }
+  if (!assignment.completedBy.includes(userId)) {
+    assignment.completedBy.push(userId);
+  }
+  
+  // Check if all assignees have marked it complete
+  const allAssignees = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  const allComplete = allAssignees.every(assigneeId => assignment.completedBy.includes(assigneeId));
+  
+  const updates = {
+    completedBy: assignment.completedBy
+  };
+  
+  // Another roommate checks it before it counts (unless nobody else is around)
+  const verifier = allComplete && proof.verify ? await pickVerifier(allAssignees) : null;
+  if (verifier) {
+    updates.verificationStatus = 'pending';
+    updates.verifier = verifier.slackId;
+    updates.completedDate = dayjs().tz(getTimezone()).toISOString();
+    await updateAssignment(assignment.id, updates);
+    await recordAudit('completed', userId, assignment.id, { completed: false, verifier: verifier.slackId });
+    Object.assign(assignment, updates);
+    await requestVerification(assignment, verifier);
+    return `🔍 Thanks! ${verifier.name} will verify *${assignment.chore}* before it counts as done.`;
+  }
+  
+  if (allComplete) {
+    updates.completed = true;
+    updates.completedDate = dayjs().tz(getTimezone()).toISOString();
+  }
+  
+  await updateAssignment(assignment.id, updates);
+  // Lets /chore undo find their latest completion
+  await recordAudit('completed', userId, assignment.id, { completed: allComplete });
+  
+  if (allComplete) {
+    return `✅ Great job completing: *${assignment.chore}*!`;
+  }
+  
+  const remainingAssignees = allAssignees.filter(id => !assignment.completedBy.includes(id));
+  const remainingNames = remainingAssignees.map(id => 
+    getConfig().roommates.find(r => r.slackId === id)?.name
   ).filter(Boolean);
+  return `✅ Thanks! Marked as done. Waiting for: ${remainingNames.join(', ')}`;
+}
+
+// Random roommate who isn't on the chore and isn't away today
+async function pickVerifier(assigneeIds) {
+  const candidates = (await getAvailableRoommates()).filter(r => !assigneeIds.includes(r.slackId));
+  return candidates.length > 0 ? candidates[Math.floor(Math.random() * candidates.length)] : null;
+}
+
+// Store a photo against the assignment, then complete the sender's part
+async function attachProof(assignment, proof) {
+  const proofFiles = [...(assignment.proofFiles || []).filter(p => p.slackId !== proof.slackId), proof];
+  await updateAssignment(assignment.id, { proofFiles });
+  assignment.proofFiles = proofFiles;
+  await recordAudit('proof_added', proof.slackId, assignment.id, { fileId: proof.fileId });
+  return completeAssignment(assignment, proof.slackId);
+}
+
+// Photos shared in someone's DM aren't visible to the verifier, so the bot
+// copies each one into the verifier's DM before asking
+async function requestVerification(assignment, verifier) {
+  const dm = await app.client.conversations.open({
+    token: getBotToken(),
+    users: verifier.slackId
+  });
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  
+  let photoText = '';
+  for (const proof of assignment.proofFiles || []) {
+    try {
+      const response = await fetch(proof.url, {
+        headers: { Authorization: `Bearer ${getBotToken()}` }
+      });
+      if (!response.ok) throw new Error(`download failed with ${response.status}`);
+      
+      await app.client.files.uploadV2({
+        token: getBotToken(),
+        channel_id: dm.channel.id,
+        filename: proof.name || 'proof.jpg',
+        file: Buffer.from(await response.arrayBuffer()),
+        initial_comment: `📸 Proof from <@${proof.slackId}> for *${assignment.chore}*`
+      });
+    } catch (error) {
+      console.error(`Error copying proof ${proof.fileId} for verification:`, error);
+      photoText += `\n📸 <${proof.permalink}|Photo from ${getConfig().roommates.find(r => r.slackId === proof.slackId)?.name || 'assignee'}>`;
+    }
+  }
+  
+  await app.client.chat.postMessage({
+    token: getBotToken(),
+    channel: dm.channel.id,
+    text: `🔍 Can you verify ${assignment.chore}?`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🔍 ${assigneeIds.map(id => `<@${id}>`).join(' & ')} marked *${assignment.chore}* as done. Does it look done to you?${photoText}`
+        }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: 'Verify'
+            },
+            style: 'primary',
+            action_id: 'verify_approve',
+            value: JSON.stringify({ id: assignment.id })
+          },
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: 'Reject'
+            },
+            style: 'danger',
+            action_id: 'verify_reject',
+            value: JSON.stringify({ id: assignment.id })
+          }
+        ]
+      }
+    ]
+  });
+  
+  await recordAudit('verification_requested', 'system', assignment.id, { verifier: verifier.slackId });
+}
+
+// Chores waiting for a verdict from this verifier
+async function findVerification(assignmentId, verifierId) {
+  const assignment = (await loadHistory()).find(h => h.id === assignmentId);
+  return assignment && assignment.verificationStatus === 'pending' && assignment.verifier === verifierId
+    ? assignment
+    : null;
+}
+
+app.action('verify_approve', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const { id } = JSON.parse(body.actions[0].value);
+  const assignment = await findVerification(id, body.user.id);
+  if (!assignment) {
+    await respond({ text: '🤔 This verification is no longer open.', replace_original: true });
+    return;
+  }
+  
+  // Keep the time it was finished, not the time it was checked
+  await updateAssignment(assignment.id, {
+    verificationStatus: 'verified',
+    completed: true,
+    completedDate: assignment.completedDate || dayjs().tz(getTimezone()).toISOString()
+  });
+  await recordAudit('verification_approved', body.user.id, assignment.id);
+  await respond({ text: `✅ Thanks! *${assignment.chore}* is verified.`, replace_original: true });
+  
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  for (const assigneeId of assigneeIds) {
+    try {
+      await sendDirectMessage(assigneeId, `✅ <@${body.user.id}> verified *${assignment.chore}*. Great job!`);
+    } catch (error) {
+      console.error(`Error announcing verification to ${assigneeId}:`, error);
+    }
+  }
+});
+
+app.action('verify_reject', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const { id } = JSON.parse(body.actions[0].value);
+  const assignment = await findVerification(id, body.user.id);
+  if (!assignment) {
+    await respond({ text: '🤔 This verification is no longer open.', replace_original: true });
+    return;
+  }
+  
+  // Back to not done: everyone redoes their part (with a fresh photo if needed)
+  await updateAssignment(assignment.id, {
+    verificationStatus: 'rejected',
+    completedBy: [],
+    completedDate: null,
+    proofFiles: []
+  });
+  await recordAudit('verification_rejected', body.user.id, assignment.id);
+  await respond({ text: `👍 Got it, I asked them to take another look at *${assignment.chore}*.`, replace_original: true });
+  
+  const redo = getProofSettings(assignment.chore).photo ? 'send me a new photo when it\'s done' : 'reply "done" when it\'s done';
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  for (const assigneeId of assigneeIds) {
+    try {
+      await sendDirectMessage(assigneeId, `❌ <@${body.user.id}> didn't think *${assignment.chore}* was done yet. Please take another look and ${redo}.`);
+    } catch (error) {
+      console.error(`Error announcing rejection to ${assigneeId}:`, error);
+    }
+  }
+});
+
+// Handle completion button clicks
+app.action(/complete_\d+/, async ({ body, ack, say, respond }) => {
+  await ack();
+  
+  const value = JSON.parse(body.actions[0].value);
+  const history = await loadHistory();
+  
+  // Agenda buttons carry the assignment id, DM pickers the week and chore
+  const assignment = history.find(h => {
+    if (h.completed) return false;
+    if (value.id !== undefined ? h.id !== value.id : (h.week !== value.week || h.chore !== value.chore)) return false;
+    
+    // Handle both legacy and new format
+    if (Array.isArray(h.assignedTo)) {
+      return h.assignedTo.includes(body.user.id);
+    } else {
+      return h.assignedTo === body.user.id;
+    }
+  });
+  
+  // Done on the weekly post: tell the clicker privately, the post redraws itself
+  if (value.board) {
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: assignment
+        ? await completeAssignment(assignment, body.user.id)
+        : "🤔 That chore isn't yours or is already done."
+    });
+    return;
+  }
+  
+  // The Home tab shows the result above the refreshed view
+  if (value.home) {
+    homeNotices.set(body.user.id, assignment
+      ? await completeAssignment(assignment, body.user.id)
+      : '🤔 That chore is already done or no longer yours.');
+    scheduleHomeRefresh([body.user.id]);
+    return;
+  }
+  
+  // /chore me is ephemeral, so answer by redrawing it with the result on top
+  if (value.agenda) {
+    const result = assignment
+      ? await completeAssignment(assignment, body.user.id)
+      : '🤔 That chore is already done or no longer yours.';
+    await respond({
+      replace_original: true,
+      ...buildAgendaMessage(body.user.id, await loadHistory(), result, await getUserTimezone(body.user.id), await loadBadges(body.user.id))
+    });
+    return;
+  }
+  
+  if (assignment) {
+    await say(await completeAssignment(assignment, body.user.id));
+  }
+});
+
+// Resolve "<@U123|name>", "<@U123>", "@name" or "name" to a roommate
+function findRoommateByMention(text) {
+  const mention = text.match(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/);
+  if (mention) {
+    return getConfig().roommates.find(r => r.slackId === mention[1]);
+  }
+  const name = text.replace(/^@/, '').trim().toLowerCase();
+  return getConfig().roommates.find(r => r.name.toLowerCase() === name);
+}
+
+async function handleSwapCommand(command, targetText, respond) {
+  const target = targetText ? findRoommateByMention(targetText) : null;
+  if (!target) {
+    await respond('Usage: `/chore swap @roommate` to offer one of your pending chores this week');
+    return;
+  }
+  if (target.slackId === command.user_id) {
+    await respond("🤔 You can't swap a chore with yourself.");
+    return;
+  }
+  
+  const history = await loadHistory();
+  const pending = getPendingAssignmentsFor(command.user_id, history);
+  
+  if (pending.length === 0) {
+    await respond("🤔 You don't have any pending chores this week to swap.");
+    return;
+  }
+  
+  if (pending.length === 1) {
+    await respond(await proposeSwap(pending[0], command.user_id, target));
+    return;
+  }
+  
+  // Multiple pending chores - ask which one to offer
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `Which chore would you like to offer to ${target.name}?`
+      }
+    },
+    {
+      type: 'actions',
+      elements: pending.map((assignment, index) => ({
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: assignment.chore
+        },
+        action_id: `swap_pick_${index}`,
+        value: JSON.stringify({ assignmentId: assignment.id, toUser: target.slackId })
+      }))
+    }
+  ];
+  
+  await respond({ blocks });
+}
+
+// Create a swap request and DM the target with Accept/Decline buttons.
+// Returns the text to show the person proposing it.
+async function proposeSwap(assignment, fromUser, target) {
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  if (assigneeIds.includes(target.slackId)) {
+    return `🤔 ${target.name} is already on *${assignment.chore}*.`;
+  }
+  
+  const dueDay = assignment.dueDate ? dayjs(assignment.dueDate).tz(getTimezone()) : dayjs().tz(getTimezone());
+  if (isAway(target.slackId, dueDay, await getAwayPeriods())) {
+    return `✈️ ${target.name} is away then, so they can't take *${assignment.chore}*.`;
+  }
+  
+  const swapId = await createSwapRequest(assignment.id, fromUser, target.slackId);
+  await recordAudit('swap_proposed', fromUser, assignment.id, { swapId, toUser: target.slackId });
+  
+  const dueText = assignment.dueDate
+    ? await formatTimeFor(target.slackId, assignment.dueDate, 'dddd, MMM D [at] h:mm A')
+    : 'No specific due date';
+  
+  await sendDirectMessage(target.slackId, {
+    text: `🔄 <@${fromUser}> asked you to take over ${assignment.chore}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🔄 <@${fromUser}> asked if you can take over *${assignment.chore}*\n📅 Due: ${dueText}`
+        }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: 'Accept'
+            },
+            action_id: 'swap_accept',
+            value: JSON.stringify({ swapId }),
+            style: 'primary'
+          },
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: 'Decline'
+            },
+            action_id: 'swap_decline',
+            value: JSON.stringify({ swapId })
+          }
+        ]
+      }
+    ]
+  });
+  
+  return `🔄 Asked ${target.name} to take *${assignment.chore}*. I'll let you know when they answer.`;
+}
+
+// Handle chore choice when the proposer has several pending chores
+app.action(/swap_pick_\d+/, async ({ body, ack, respond }) => {
+  await ack();
+  
+  const value = JSON.parse(body.actions[0].value);
+  const history = await loadHistory();
+  const assignment = getPendingAssignmentsFor(body.user.id, history).find(h => h.id === value.assignmentId);
+  const target = getConfig().roommates.find(r => r.slackId === value.toUser);
+  
+  if (!assignment || !target) {
+    await respond({ text: '🤔 That chore is no longer pending.', replace_original: true });
+    return;
+  }
+  
+  await respond({ text: await proposeSwap(assignment, body.user.id, target), replace_original: true });
+});
+
+app.action('swap_accept', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const { swapId } = JSON.parse(body.actions[0].value);
+  const swap = await getSwapRequest(swapId);
+  
+  if (!swap || swap.toUser !== body.user.id || swap.status !== 'pending') {
+    await respond({ text: '🤔 This swap request is no longer open.', replace_original: true });
+    return;
+  }
+  
+  const history = await loadHistory();
+  const assignment = history.find(h => h.id === swap.assignmentId);
+  const assigneeIds = assignment && (Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo]);
+  
+  if (!assignment || assignment.completed || !assigneeIds.includes(swap.fromUser)) {
+    await resolveSwapRequest(swapId, 'cancelled');
+    await respond({ text: '🤔 That chore has already been done or reassigned.', replace_original: true });
+    return;
+  }
+  
+  if (!(await resolveSwapRequest(swapId, 'accepted'))) {
+    await respond({ text: '🤔 This swap request is no longer open.', replace_original: true });
+    return;
+  }
+  
+  const accepter = getConfig().roommates.find(r => r.slackId === swap.toUser);
+  const assignedTo = assigneeIds.map(id => (id === swap.fromUser ? swap.toUser : id));
+  const assigneeNames = assignedTo.map((id, i) =>
+    getConfig().roommates.find(r => r.slackId === id)?.name || assignment.assigneeNames?.[i] || id
+  );
+  const completedBy = (assignment.completedBy || []).filter(id => id !== swap.fromUser);
+  
+  await updateAssignment(assignment.id, { assignedTo, assigneeNames, completedBy });
+  await recordAudit('swap_accepted', swap.toUser, assignment.id, {
+    swapId,
+    fromUser: swap.fromUser,
+    toUser: swap.toUser,
+    previousAssignedTo: assigneeIds,
+    assignedTo
+  });
+  
+  await respond({ text: `✅ You're now on *${assignment.chore}*. Thanks for helping out, ${accepter?.name || 'friend'}!`, replace_original: true });
+  
+  try {
+    await sendDirectMessage(swap.fromUser, `🙌 <@${swap.toUser}> accepted your swap and is taking *${assignment.chore}*.`);
+    await postWeeklyThreadUpdate(assignment.week, `🔄 *${assignment.chore}* moved from <@${swap.fromUser}> to <@${swap.toUser}>`);
+  } catch (error) {
+    console.error('Error announcing accepted swap:', error);
+  }
+});
+
+app.action('swap_decline', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const { swapId } = JSON.parse(body.actions[0].value);
+  const swap = await getSwapRequest(swapId);
+  
+  if (!swap || swap.toUser !== body.user.id || !(await resolveSwapRequest(swapId, 'declined'))) {
+    await respond({ text: '🤔 This swap request is no longer open.', replace_original: true });
+    return;
+  }
   
-  // Update the interface
-  const blocks = [
+  await recordAudit('swap_declined', swap.toUser, swap.assignmentId, { swapId, fromUser: swap.fromUser });
+  await respond({ text: '👍 No problem, I let them know.', replace_original: true });
+  
+  try {
+    const history = await loadHistory();
+    const assignment = history.find(h => h.id === swap.assignmentId);
+    await sendDirectMessage(swap.fromUser, `🙅 <@${swap.toUser}> can't take *${assignment?.chore || 'that chore'}* this time.`);
+  } catch (error) {
+    console.error('Error announcing declined swap:', error);
+  }
+});
+
+// Chore marketplace: anyone can put one of their chores (or a manual chore
+// nobody has) up for grabs with bonus points. The claimer gets the chore and
+// the bonus on their fairness balance, and the poster pays the same amount,
+// so the next assignment evens things out.
+const DEFAULT_MAX_BOUNTY = 5;
+
+function getMaxBounty() {
+  return getConfig().marketplace?.maxBounty ?? DEFAULT_MAX_BOUNTY;
+}
+
+function describeBounty(bounty, assignment) {
+  const due = assignment?.dueDate
+    ? ` (due ${dayjs(assignment.dueDate).tz(getTimezone()).format('ddd, MMM D [at] h:mm A')})`
+    : '';
+  return `💰 <@${bounty.postedBy}> is offering *${bounty.chore}*${due} for *+${formatCount(bounty.points)} bonus points*`;
+}
+
+function buildBountyBlocks(bounty, assignment) {
+  return [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `👥 Selected: ${selectedNames.length > 0 ? selectedNames.join(', ') : 'None'} (${selectedNames.length}/3)`
+        text: describeBounty(bounty, assignment)
       }
     },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Claiming it makes the chore yours and adds the bonus to your fairness balance. <@${bounty.postedBy}>'s goes down by the same amount.`
+        }
+      ]
+    },
     {
       type: 'actions',
       elements: [
-        ...config.roommates.map(roommate => ({
+        {
           type: 'button',
           text: {
             type: 'plain_text',
-            text: roommate.name
+            text: 'Claim'
           },
-          action_id: `select_${roommate.slackId}`,
-          value: JSON.stringify({ 
-            type: value.type, 
-            userId: value.userId,
-            selectedUsers: updatedSelection
-          }),
-          style: updatedSelection.includes(roommate.slackId) ? 'primary' : undefined
-        })),
+          style: 'primary',
+          action_id: 'bounty_claim',
+          value: String(bounty.id)
+        },
         {
           type: 'button',
           text: {
             type: 'plain_text',
-            text: 'Assign Task'
+            text: 'Withdraw'
           },
-          action_id: 'confirm_shared_assignment',
-          value: JSON.stringify({ 
-            type: value.type, 
-            userId: value.userId,
-            selectedUsers: updatedSelection
-          }),
-          style: 'primary'
+          action_id: 'bounty_cancel',
+          value: String(bounty.id)
         }
       ]
     }
   ];
-  
-  await respond({ blocks, replace_original: true });
-});
+}
 
-// Handle final shared task assignment
-app.action('confirm_shared_assignment', async ({ body, ack, respond }) => {
-  await ack();
+// `/chore bounty <chore> [points]` posts one; `/chore bounty` lists open ones
+async function handleBountyCommand(command, argsText, respond) {
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
   
-  const value = JSON.parse(body.actions[0].value);
-  const selectionKey = `${value.userId}_${value.type}`;
-  const selectedUserIds = sharedTaskSelections.get(selectionKey) || [];
+  if (!argsText) {
+    const open = await loadOpenBounties();
+    if (open.length === 0) {
+      await respond('🛒 No open bounties. Offer one with `/chore bounty vacuum 2`.');
+      return;
+    }
+    await respond({
+      blocks: open.flatMap(bounty => {
+        const [section, , actions] = buildBountyBlocks(bounty, history.find(h => h.id === bounty.assignmentId));
+        return [section, actions];
+      })
+    });
+    return;
+  }
   
-  if (selectedUserIds.length === 0) {
-    await respond({ text: '❌ Please select at least one person for the shared task.', replace_original: true });
+  // A trailing number is the bounty
+  const words = argsText.split(/\s+/);
+  const points = /^\d+(\.\d+)?$/.test(words[words.length - 1]) ? Number(words.pop()) : 1;
+  const query = words.join(' ');
+  if (points <= 0 || points > getMaxBounty()) {
+    await respond(`🤔 A bounty can be up to ${getMaxBounty()} points.`);
     return;
   }
   
-  const selectedUsers = selectedUserIds.map(id => 
-    config.roommates.find(r => r.slackId === id)
-  ).filter(Boolean);
+  // One of your own chores first, then a manual chore anyone could start
+  const own = getOpenAssignments(command.user_id, history, now);
+  let assignment = null;
+  let choreTitle = null;
+  if (matchAssignments(query, own).length > 0) {
+    const resolved = resolveChore(query, own, 'put up');
+    if (resolved.reply) {
+      await respond(resolved.reply);
+      return;
+    }
+    assignment = resolved.assignment;
+    choreTitle = assignment.chore;
+  } else {
+    const manual = matchNames(query, getManualChores(), chore => [chore.title, ...(chore.aliases || [])]);
+    if (manual.length !== 1) {
+      const ownList = own.map(h => `• ${h.chore}`).join('\n') || '• (none)';
+      const manualList = getManualChores().map(c => `• ${c.title}`).join('\n') || '• (none)';
+      await respond(manual.length > 1
+        ? `🤔 "${query}" could be ${manual.map(c => `*${c.title}*`).join(' or ')}. Which one?`
+        : `🤔 I couldn't find "${query}". You can offer one of your chores:\n${ownList}\nor a manual chore:\n${manualList}`);
+      return;
+    }
+    choreTitle = manual[0].title;
+  }
   
-  await handleChoreAssignment(value.type, selectedUsers, value.userId, respond);
+  const open = await loadOpenBounties();
+  if (open.some(b => (assignment ? b.assignmentId === assignment.id : !b.assignmentId && b.chore === choreTitle))) {
+    await respond(`🤔 *${choreTitle}* already has an open bounty.`);
+    return;
+  }
   
-  // Clean up selection tracking
-  sharedTaskSelections.delete(selectionKey);
-});
+  const bountyId = await createBounty({ chore: choreTitle, assignmentId: assignment?.id, postedBy: command.user_id, points });
+  const bounty = await getBounty(bountyId);
+  const result = await app.client.chat.postMessage({
+    token: getBotToken(),
+    channel: getChannelId(),
+    text: `💰 ${choreTitle} is up for grabs for +${formatCount(points)} points`,
+    blocks: buildBountyBlocks(bounty, assignment)
+  });
+  await setBountyMessage(bountyId, result.channel, result.ts);
+  await recordAudit('bounty_posted', command.user_id, assignment?.id ?? null, { bountyId, chore: choreTitle, points });
+  await respond(`✅ Posted *${choreTitle}* for +${formatCount(points)} points. You'll pay them when someone claims it.`);
+}
+
+// Replace the bounty's channel post with how it ended
+async function closeBountyMessage(bounty, text) {
+  if (!bounty.channel || !bounty.ts) return;
+  try {
+    await app.client.chat.update({
+      token: getBotToken(),
+      channel: bounty.channel,
+      ts: bounty.ts,
+      text,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    });
+  } catch (error) {
+    console.error(`Error updating bounty ${bounty.id}:`, error);
+  }
+}
 
-// Handle DM messages for "done" completion
-app.message('done', async ({ message, say }) => {
-  if (message.channel_type !== 'im') return;
+app.action('bounty_claim', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const claimerId = body.user.id;
+  const bounty = await getBounty(Number(body.actions[0].value));
+  const claimer = getConfig().roommates.find(r => r.slackId === claimerId);
+  const reply = text => respond({ text, replace_original: false, response_type: 'ephemeral' });
+  
+  if (!bounty || bounty.status !== 'open') {
+    await reply('🤔 That bounty has already been claimed or withdrawn.');
+    return;
+  }
+  if (bounty.postedBy === claimerId) {
+    await reply("🙃 That's your own bounty. Use *Withdraw* to take it back.");
+    return;
+  }
+  if (!claimer) {
+    await reply('🤔 Only roommates can claim bounties.');
+    return;
+  }
   
   const history = await loadHistory();
-  const currentWeek = formatWeek(dayjs().tz(TZ));
+  const now = dayjs().tz(getTimezone());
+  let assignment = bounty.assignmentId ? history.find(h => h.id === bounty.assignmentId) : null;
+  const assigneeIds = assignment ? (Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo]) : [];
   
-  // Find user's incomplete assignments this week
-  const userAssignments = history.filter(h => {
-    if (h.week !== currentWeek || h.completed) return false;
-    
-    // Handle both legacy single assignee and new multiple assignee format
-    if (Array.isArray(h.assignedTo)) {
-      return h.assignedTo.includes(message.user);
-    } else {
-      return h.assignedTo === message.user;
+  if (bounty.assignmentId && (!assignment || assignment.completed || !assigneeIds.includes(bounty.postedBy))) {
+    if (await resolveBounty(bounty.id, 'cancelled')) {
+      await closeBountyMessage(bounty, `🚫 *${bounty.chore}* was done or reassigned, so the bounty is off.`);
     }
-  });
+    await reply('🤔 That chore has already been done or reassigned.');
+    return;
+  }
+  if (assigneeIds.includes(claimerId)) {
+    await reply(`🤔 You're already on *${bounty.chore}*.`);
+    return;
+  }
   
-  if (userAssignments.length === 0) {
-    await say("🤔 I don't see any pending chores assigned to you this week.");
+  if (!(await resolveBounty(bounty.id, 'claimed', claimerId))) {
+    await reply('🤔 Someone beat you to it!');
     return;
   }
   
-  if (userAssignments.length === 1) {
-    const assignment = userAssignments[0];
-    
-    // Mark as completed by this user
-    if (!Array.isArray(assignment.completedBy)) {
-      assignment.completedBy = [];
-    }
-    if (!assignment.completedBy.includes(message.user)) {
-      assignment.completedBy.push(message.user);
-    }
-    
-    // Check if all assignees have marked it complete
-    const allAssignees = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
-    const allComplete = allAssignees.every(assigneeId => assignment.completedBy.includes(assigneeId));
-    
-    const updates = {
-      completedBy: assignment.completedBy
+  if (assignment) {
+    const assignedTo = assigneeIds.map(id => (id === bounty.postedBy ? claimerId : id));
+    const assigneeNames = assignedTo.map((id, i) =>
+      getConfig().roommates.find(r => r.slackId === id)?.name || assignment.assigneeNames?.[i] || id
+    );
+    const completedBy = (assignment.completedBy || []).filter(id => id !== bounty.postedBy);
+    await updateAssignment(assignment.id, { assignedTo, assigneeNames, completedBy });
+    await recordAudit('bounty_claimed', claimerId, assignment.id, {
+      bountyId: bounty.id,
+      points: bounty.points,
+      postedBy: bounty.postedBy,
+      previousAssignedTo: assigneeIds,
+      assignedTo
+    });
+  } else {
+    // A manual chore: it starts now, with the claimer on it
+    assignment = {
+      month: now.format('YYYY-[M]MM'),
+      week: formatWeek(now),
+      chore: bounty.chore,
+      assignedTo: [claimerId],
+      assigneeNames: [claimer.name],
+      date: now.toISOString(),
+      dueDate: null,
+      completed: false,
+      completedBy: [],
+      triggeredBy: bounty.postedBy
     };
-    
-    if (allComplete) {
-      updates.completed = true;
-      updates.completedDate = dayjs().tz(TZ).toISOString();
-    }
-    
-    await updateAssignment(assignment.id, updates);
-    
-    if (allComplete) {
-      await say(`✅ Great job completing: *${assignment.chore}*!`);
+    assignment.id = await saveAssignment(assignment);
+    await recordAudit('bounty_claimed', claimerId, assignment.id, {
+      bountyId: bounty.id,
+      points: bounty.points,
+      postedBy: bounty.postedBy,
+      assignedTo: [claimerId]
+    });
+  }
+  
+  // The bonus moves from the poster's balance to the claimer's
+  const poster = getConfig().roommates.find(r => r.slackId === bounty.postedBy);
+  for (const [slackId, points, reason] of [
+    [claimerId, bounty.points, `Bounty for ${bounty.chore} from ${poster?.name || 'a roommate'}`],
+    [bounty.postedBy, -bounty.points, `Bounty for ${bounty.chore}, taken by ${claimer.name}`]
+  ]) {
+    await saveFairnessAdjustment({
+      slackId,
+      points,
+      reason,
+      assignmentId: assignment.id,
+      bountyId: bounty.id,
+      month: now.format('YYYY-[M]MM'),
+      date: now.toISOString()
+    });
+  }
+  
+  await closeBountyMessage(bounty, `🤝 <@${claimerId}> claimed *${bounty.chore}* from <@${bounty.postedBy}> for +${formatCount(bounty.points)} points`);
+  if (body.container?.message_ts !== bounty.ts) {
+    await respond({ text: `🤝 *${bounty.chore}* is yours, +${formatCount(bounty.points)} points!`, replace_original: true });
+  }
+  
+  try {
+    await sendDirectMessage(bounty.postedBy, `🤝 <@${claimerId}> claimed your bounty and is taking *${bounty.chore}*. ${formatCount(bounty.points)} points came off your balance.`);
+    if (!assignment.dueDate) {
+      await sendDirectMessage(claimerId, `${getChoreEmoji(getConfig().chores.find(c => c.title === bounty.chore) || {})} You claimed *${bounty.chore}*.\n\nReply "done" when complete!`);
     } else {
-      const remainingAssignees = allAssignees.filter(id => !assignment.completedBy.includes(id));
-      const remainingNames = remainingAssignees.map(id => 
-        config.roommates.find(r => r.slackId === id)?.name
-      ).filter(Boolean);
-      await say(`✅ Thanks! Marked as done. Waiting for: ${remainingNames.join(', ')}`);
+      await postWeeklyThreadUpdate(assignment.week, `🤝 *${bounty.chore}* moved from <@${bounty.postedBy}> to <@${claimerId}> for a +${formatCount(bounty.points)} bounty`);
     }
-  } else {
-    // Multiple assignments - ask which one
-    const blocks = [
+  } catch (error) {
+    console.error('Error announcing claimed bounty:', error);
+  }
+});
+
+app.action('bounty_cancel', async ({ body, ack, respond }) => {
+  await ack();
+  
+  const bounty = await getBounty(Number(body.actions[0].value));
+  if (!bounty || (bounty.postedBy !== body.user.id && !isAdmin(body.user.id))) {
+    await respond({ text: '🔒 Only whoever posted the bounty can withdraw it.', replace_original: false, response_type: 'ephemeral' });
+    return;
+  }
+  if (!(await resolveBounty(bounty.id, 'cancelled'))) {
+    await respond({ text: '🤔 That bounty has already been claimed or withdrawn.', replace_original: false, response_type: 'ephemeral' });
+    return;
+  }
+  
+  await recordAudit('bounty_cancelled', body.user.id, bounty.assignmentId, { bountyId: bounty.id, chore: bounty.chore });
+  await closeBountyMessage(bounty, `🚫 <@${bounty.postedBy}>'s bounty on *${bounty.chore}* was withdrawn.`);
+});
+
+// Most point changes /chore balance lists
+const BALANCE_HISTORY_LIMIT = 10;
+
+// `/chore balance [@someone]`: fairness balance and point changes
+async function handleBalanceCommand(command, targetText, respond) {
+  const target = targetText
+    ? findRoommateByMention(targetText)
+    : getConfig().roommates.find(r => r.slackId === command.user_id);
+  if (!target) {
+    await respond('Usage: `/chore balance` for yourself or `/chore balance @roommate` for someone else');
+    return;
+  }
+  
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  const inputs = await getFairnessInputs();
+  const balances = computeBalances(getConfig(), history, now, inputs);
+  const values = Object.values(balances);
+  const average = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  
+  const mine = inputs.adjustments.filter(a => a.slackId === target.slackId);
+  const bounties = mine.filter(a => a.bountyId);
+  const earned = bounties.filter(a => a.points > 0).reduce((sum, a) => sum + a.points, 0);
+  const spent = bounties.filter(a => a.points < 0).reduce((sum, a) => sum - a.points, 0);
+  const sign = points => (points > 0 ? `+${formatCount(points)}` : `−${formatCount(-points)}`);
+  const recent = mine.slice(-BALANCE_HISTORY_LIMIT).reverse().map(a =>
+    `• ${dayjs(a.date).tz(getTimezone()).format('MMM D')}: ${sign(a.points)} ${a.reason}`
+  );
+  
+  await respond({
+    blocks: [
       {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: 'Which chore did you complete?'
+          text: `⚖️ *${target.name}'s balance: ${formatCount(balances[target.slackId] ?? 0)} pts* (house average ${formatCount(average)}, ${describeFairness(getConfig())}). Lowest balance gets the next chore.\n💰 Bounties: earned +${formatCount(earned)}, paid −${formatCount(spent)}`
         }
       },
       {
-        type: 'actions',
-        elements: userAssignments.map((assignment, index) => ({
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: assignment.chore
-          },
-          action_id: `complete_${index}`,
-          value: JSON.stringify({ week: assignment.week, chore: assignment.chore })
-        }))
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: recent.length > 0 ? `*Recent point changes*\n${recent.join('\n')}` : 'No bounties or penalties yet.'
+        }
       }
-    ];
-    
-    await say({ blocks });
+    ]
+  });
+}
+
+// App Home tab: your chores with Done/Swap, this week's board and the
+// month's progress. Results of button clicks show above the refreshed view.
+const homeNotices = new Map();
+const queueHomeRefresh = createBatcher(publishHomeTab);
+
+function scheduleHomeRefresh(userIds) {
+  queueHomeRefresh(userIds.filter(id => getConfig().roommates.some(r => r.slackId === id)));
+}
+
+onAssignmentsChanged((userIds, weeks) => {
+  scheduleHomeRefresh(userIds);
+  scheduleWeeklyPostRefresh(weeks);
+});
+
+app.event('app_home_opened', async ({ event }) => {
+  if (event.tab !== 'home') return;
+  
+  try {
+    await publishHomeTab(event.user);
+  } catch (error) {
+    console.error('Error publishing App Home:', error);
+  }
+});
+
+async function publishHomeTab(userId) {
+  const history = await loadHistory();
+  const notice = homeNotices.get(userId);
+  homeNotices.delete(userId);
+  
+  await app.client.views.publish({
+    token: getBotToken(),
+    user_id: userId,
+    view: {
+      type: 'home',
+      blocks: buildHomeBlocks(userId, history, dayjs().tz(getTimezone()), notice, await getUserTimezone(userId), await loadBadges(userId))
+    }
+  });
+}
+
+// `now` is on the house clock, which decides the week and month; times are
+// shown in `timezone`, the viewer's
+function buildHomeBlocks(userId, history, now, notice, timezone, badges = []) {
+  const blocks = [];
+  if (notice) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: notice } }, { type: 'divider' });
+  }
+  
+  // Your chores
+  const pending = getAgendaAssignments(userId, history, now);
+  blocks.push({
+    type: 'header',
+    text: {
+      type: 'plain_text',
+      text: `🧹 Your chores (${pending.length})`
+    }
+  });
+  
+  if (pending.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: "🎉 You're all caught up. Nothing pending!" } });
   }
+  
+  pending.slice(0, AGENDA_LIMIT).forEach((assignment, index) => {
+    const { text, doneMyPart } = describeAgendaItem(assignment, userId, now, timezone);
+    const buttons = [];
+    if (!doneMyPart) {
+      buttons.push({
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Done'
+        },
+        style: 'primary',
+        action_id: `complete_${index}`,
+        value: JSON.stringify({ id: assignment.id, home: true })
+      });
+    }
+    buttons.push({
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: 'Swap'
+      },
+      action_id: `home_swap_${index}`,
+      value: JSON.stringify({ id: assignment.id })
+    });
+    
+    blocks.push(
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      { type: 'actions', elements: buttons }
+    );
+  });
+  if (badges.length > 0) blocks.push(buildBadgesBlock(badges));
+
+  // This week's house board
+  const currentWeek = formatWeek(now);
+  const weekAssignments = history
+    .filter(h => h.week === currentWeek)
+    .sort((a, b) => (a.dueDate ? dayjs(a.dueDate).valueOf() : Infinity) - (b.dueDate ? dayjs(b.dueDate).valueOf() : Infinity));
+  const boardLines = weekAssignments.map(h => {
+    const due = h.dueDate ? dayjs(h.dueDate).tz(timezone) : null;
+    const status = h.completed
+      ? '✅'
+      : (h.verificationStatus === 'pending' ? '🔍' : (due && due.isBefore(now) ? '⚠️' : '⏳'));
+    const names = (h.assigneeNames || []).join(' & ');
+    return `${status} *${h.chore}*: ${names}${due ? ` · ${due.format('ddd h:mm A')}` : ''}`;
+  });
+  
+  blocks.push(
+    { type: 'divider' },
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📋 This week's board (${currentWeek})`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: boardLines.length > 0 ? boardLines.join('\n') : 'No assignments yet this week.'
+      }
+    }
+  );
+  
+  // This month's progress, alphabetical (no competition/ranking)
+  const currentMonth = now.format('YYYY-[M]MM');
+  const progressLines = [...getConfig().roommates]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(roommate => {
+      let total = 0;
+      let completed = 0;
+      history.filter(h => h.month === currentMonth).forEach(h => {
+        const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
+        if (!assigneeIds.includes(roommate.slackId)) return;
+        const creditPerPerson = h.isShared || assigneeIds.length > 1 ? 0.5 : 1;
+        total += creditPerPerson;
+        if (h.completed) completed += creditPerPerson;
+      });
+      const completionRate = total > 0 ? Math.round((completed / total) * 100) : 0;
+      return `*${roommate.name}*\n${createProgressBar(completionRate)} ${formatCount(completed)}/${formatCount(total)} completed`;
+    });
+  
+  blocks.push(
+    { type: 'divider' },
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📊 ${now.format('MMMM YYYY')} progress`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: progressLines.join('\n')
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `📅 Updated: ${now.format('MMM D, YYYY [at] h:mm A')}`
+        }
+      ]
+    }
+  );
+  
+  return blocks;
+}
+
+// Swap from the Home tab: pick who to offer the chore to in a modal
+app.action(/home_swap_\d+/, async ({ body, ack }) => {
+  await ack();
+  
+  const { id } = JSON.parse(body.actions[0].value);
+  const history = await loadHistory();
+  const assignment = history.find(h => h.id === id);
+  if (!assignment) return;
+  
+  await app.client.views.open({
+    token: getBotToken(),
+    trigger_id: body.trigger_id,
+    view: {
+      type: 'modal',
+      callback_id: 'home_swap_modal',
+      private_metadata: JSON.stringify({ assignmentId: id }),
+      title: {
+        type: 'plain_text',
+        text: 'Swap chore'
+      },
+      submit: {
+        type: 'plain_text',
+        text: 'Ask'
+      },
+      close: {
+        type: 'plain_text',
+        text: 'Cancel'
+      },
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `Who would you like to take *${assignment.chore}*?`
+          }
+        },
+        {
+          type: 'input',
+          block_id: 'target',
+          label: {
+            type: 'plain_text',
+            text: 'Roommate'
+          },
+          element: {
+            type: 'users_select',
+            action_id: 'user',
+            placeholder: {
+              type: 'plain_text',
+              text: 'Pick a roommate'
+            }
+          }
+        }
+      ]
+    }
+  });
 });
 
-// Handle completion button clicks
-app.action(/complete_\d+/, async ({ body, ack, say }) => {
+app.view('home_swap_modal', async ({ ack, body, view }) => {
+  const { assignmentId } = JSON.parse(view.private_metadata);
+  const selected = view.state.values.target.user.selected_user;
+  const target = getConfig().roommates.find(r => r.slackId === selected);
+  
+  if (!target || target.slackId === body.user.id) {
+    await ack({
+      response_action: 'errors',
+      errors: { target: target ? "You can't swap a chore with yourself." : 'Pick one of the roommates.' }
+    });
+    return;
+  }
   await ack();
   
-  const value = JSON.parse(body.actions[0].value);
   const history = await loadHistory();
-  
-  const assignment = history.find(h => {
-    if (h.week !== value.week || h.chore !== value.chore || h.completed) return false;
-    
-    // Handle both legacy and new format
-    if (Array.isArray(h.assignedTo)) {
-      return h.assignedTo.includes(body.user.id);
-    } else {
-      return h.assignedTo === body.user.id;
-    }
-  });
-  
-  if (assignment) {
-    // Mark as completed by this user
-    if (!Array.isArray(assignment.completedBy)) {
-      assignment.completedBy = [];
-    }
-    if (!assignment.completedBy.includes(body.user.id)) {
-      assignment.completedBy.push(body.user.id);
-    }
-    
-    // Check if all assignees have marked it complete
-    const allAssignees = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
-    const allComplete = allAssignees.every(assigneeId => assignment.completedBy.includes(assigneeId));
-    
-    const updates = {
-      completedBy: assignment.completedBy
-    };
-    
-    if (allComplete) {
-      updates.completed = true;
-      updates.completedDate = dayjs().tz(TZ).toISOString();
-    }
-    
-    await updateAssignment(assignment.id, updates);
-    
-    if (allComplete) {
-      await say(`✅ Great job completing: *${assignment.chore}*!`);
-    } else {
-      const remainingAssignees = allAssignees.filter(id => !assignment.completedBy.includes(id));
-      const remainingNames = remainingAssignees.map(id => 
-        config.roommates.find(r => r.slackId === id)?.name
-      ).filter(Boolean);
-      await say(`✅ Thanks! Marked as done. Waiting for: ${remainingNames.join(', ')}`);
-    }
-  }
+  const assignment = getAgendaAssignments(body.user.id, history, dayjs().tz(getTimezone())).find(h => h.id === assignmentId);
+  homeNotices.set(body.user.id, assignment
+    ? await proposeSwap(assignment, body.user.id, target)
+    : '🤔 That chore is no longer pending.');
+  scheduleHomeRefresh([body.user.id]);
 });
 
-// Weekly assignment cron job - Every Monday at 8:00 AM PT
-cron.schedule('0 8 * * 1', async () => {
+// Cron jobs run once per household, on that household's clock. They're
+// started once config.json has been read.
+const householdJobs = [];
+function scheduleForEachHousehold(expression, job) {
+  householdJobs.push({ expression, job });
+}
+
+function startHouseholdJobs() {
+  households.forEach(household => {
+    householdJobs.forEach(({ expression, job }) => {
+      cron.schedule(expression, () => runInHousehold(household, job), {
+        timezone: household.timezone
+      });
+    });
+  });
+}
+
+// Weekly assignment cron job - Every Monday at 8:00 AM house time
+scheduleForEachHousehold('0 8 * * 1', async () => {
   try {
     console.log('Running weekly chore assignment...');
-    const assignments = await assignChores();
-    await postAssignments(assignments, process.env.CHANNEL_ID);
-    console.log('Weekly assignments posted!');
+    if (await draftWeeklyAssignments()) console.log('Weekly assignment draft sent for review!');
   } catch (error) {
     console.error('Error in weekly assignment cron:', error);
   }
-}, {
-  timezone: TZ
 });
 
-// Monthly reset notification - 1st of each month at 9:00 AM PT
-cron.schedule('0 9 1 * *', async () => {
-  try {
-    console.log('New month - resetting monthly tracking...');
-    
-    const blocks = [
-      {
-        type: 'header',
-        text: {
-          type: 'plain_text',
-          text: '🗓️ New Month Started!'
-        }
-      },
+// Days into a month that a missed recap (bot down on the 1st) is still posted on startup
+const RECAP_CATCH_UP_DAYS = 3;
+
+// Recap of the month before `now`, posted once per household and month. Badges
+// are saved so /chore me and the Home tab can show them.
+async function postMonthlyRecap(now = dayjs().tz(getTimezone())) {
+  const month = now.startOf('month').subtract(1, 'month');
+  const history = await loadHistory();
+  const label = month.format('YYYY-[M]MM');
+  if (!history.some(h => h.month === label)) return false;
+  
+  // Swaps accepted and bounties claimed that month count as helping out
+  const helps = (await Promise.all(['swap_accepted', 'bounty_claimed'].map(action =>
+    loadAuditLog({ action, since: month.startOf('month').toISOString(), limit: 1000 })
+  ))).flat().filter(entry => dayjs.utc(entry.createdAt).isBefore(month.add(1, 'month')));
+  
+  const recap = computeMonthlyRecap(getConfig(), history, month, { helps });
+  
+  const medals = ['🥇', '🥈', '🥉'];
+  const summaryLines = recap.roommates.map((r, index) => {
+    const medal = recap.order === 'ranked' && r.completed > 0 ? `${medals[index] || '▫️'} ` : '';
+    const onTime = r.scheduled > 0 ? ` · ${r.onTime}/${r.scheduled} on time` : '';
+    const manual = r.manual > 0 ? ` · ${r.manual} manual` : '';
+    if (r.assigned === 0) return `${medal}*${r.name}*: no chores`;
+    return `${medal}*${r.name}*: ${formatCount(r.completed)}/${formatCount(r.assigned)} done${onTime}${manual}`;
+  });
+  const badgeLines = recap.badges.map(badge => `<@${badge.slackId}> ${describeBadge(badge)}`);
+  const bestLines = recap.roommates.flatMap(r => r.bests.map(best => (best.kind === 'completed'
+    ? `<@${r.slackId}> did ${formatCount(best.value)} chores, up from ${formatCount(best.previous)}`
+    : `<@${r.slackId}> went ${best.value} chores on time in a row, beating ${best.previous}`)));
+  
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `🗓️ ${recap.label} recap`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: summaryLines.join('\n')
+      }
+    }
+  ];
+  if (badgeLines.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*🏅 Badges*\n${badgeLines.join('\n')}` } });
+  }
+  if (bestLines.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*📈 Personal bests*\n${bestLines.join('\n')}` } });
+  }
+  blocks.push({
+    type: 'context',
+    elements: [
       {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: 'Monthly chore tracking has been reset. Everyone starts fresh! 💪'
-        }
+        type: 'mrkdwn',
+        text: getFairnessSettings(getConfig()).mode === 'month'
+          ? 'Monthly chore tracking has been reset. Everyone starts fresh! 💪'
+          : `Fairness balances carry over (${describeFairness(getConfig())}), so nobody loses credit for last month's work. 💪`
       }
-    ];
-    
+    ]
+  });
+  
+  // Claim the month just before posting; if the post fails, give it back so
+  // the cron or the next startup can try again
+  if (!(await claimMonthlyRecap(label))) return false;
+  try {
     await app.client.chat.postMessage({
-      token: process.env.SLACK_BOT_TOKEN,
-      channel: process.env.CHANNEL_ID,
-      blocks: blocks
+      token: getBotToken(),
+      channel: getChannelId(),
+      text: `🗓️ ${recap.label} recap`,
+      blocks
     });
-    
-    console.log('Monthly reset notification posted!');
   } catch (error) {
-    console.error('Error in monthly reset cron:', error);
+    await releaseMonthlyRecap(label);
+    throw error;
+  }
+  await saveBadges(recap.badges);
+  return true;
+}
+
+// Monthly recap - 1st of each month at 9:00 AM house time
+scheduleForEachHousehold('0 9 1 * *', async () => {
+  try {
+    console.log('New month - posting monthly recap...');
+    if (await postMonthlyRecap()) console.log('Monthly recap posted!');
+  } catch (error) {
+    console.error('Error in monthly recap cron:', error);
   }
-}, {
-  timezone: TZ
 });
 
-// Daily progress chart - Every day at 10:00 AM PT
-cron.schedule('0 10 * * *', async () => {
+// Daily progress chart - Every day at 10:00 AM house time
+scheduleForEachHousehold('0 10 * * *', async () => {
   try {
     console.log('Posting daily progress chart...');
     await postDailyProgressChart();
@@ -1004,36 +3615,54 @@ cron.schedule('0 10 * * *', async () => {
   } catch (error) {
     console.error('Error in daily progress chart cron:', error);
   }
-}, {
-  timezone: TZ
 });
 
-async function postSpecificMonthChart(monthFilter) {
-  const history = await loadHistory();
-  const monthName = monthFilter === '2025-M08' ? 'August 2025' : 'Current Month';
+// Chart for a month, week or date range typed after /chart or /chore chart
+async function handleChartRequest(text, respond) {
+  let period;
+  try {
+    period = parsePeriod(text, dayjs().tz(getTimezone()), getTimezone());
+  } catch (error) {
+    await respond(`🤔 ${error.message}`);
+    return;
+  }
   
-  console.log('Filtering for month:', monthFilter);
-  console.log('Total history records loaded:', history.length);
+  const history = await loadHistory();
+  const periodHistory = history.filter(period.filter);
   
-  // Get all assignments for specified month
-  const monthHistory = history.filter(h => h.month === monthFilter);
+  if (periodHistory.length === 0) {
+    // Month labels look like 2025-M08
+    const months = [...new Set(history.map(h => h.month))].sort();
+    const monthLabel = month => dayjs(`${month.replace('M', '')}-01`).format('MMMM YYYY');
+    const coverage = months.length > 0
+      ? ` History goes from ${monthLabel(months[0])} to ${monthLabel(months[months.length - 1])}.`
+      : ' There is no chore history yet.';
+    await respond(`📭 No chores found for ${period.label}.${coverage}`);
+    return;
+  }
   
-  console.log('Found history entries:', monthHistory.length);
-  console.log('Sample entries:', monthHistory.slice(0, 2));
+  await postPeriodChart(period.label, periodHistory);
+  await respond(`📊 ${period.label} chart posted!`);
+}
+
+async function postPeriodChart(periodLabel, periodHistory) {
+  console.log('Posting chart for:', periodLabel);
+  console.log('Found history entries:', periodHistory.length);
   
   // Calculate stats for each roommate
   const stats = {};
-  config.roommates.forEach(roommate => {
+  getConfig().roommates.forEach(roommate => {
     stats[roommate.slackId] = {
       name: roommate.name,
       total: 0,
       completed: 0,
       pending: 0,
+      verifying: 0,
       completedChores: []
     };
   });
   
-  monthHistory.forEach(h => {
+  periodHistory.forEach(h => {
     const assigneeIds = Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
     const isShared = h.isShared || assigneeIds.length > 1;
     const creditPerPerson = isShared ? 0.5 : 1;
@@ -1045,6 +3674,8 @@ async function postSpecificMonthChart(monthFilter) {
           stats[assigneeId].completed += creditPerPerson;
           const choreDisplay = isShared ? `${h.chore} (shared)` : h.chore;
           stats[assigneeId].completedChores.push(choreDisplay);
+        } else if (h.verificationStatus === 'pending') {
+          stats[assigneeId].verifying += creditPerPerson;
         } else {
           stats[assigneeId].pending += creditPerPerson;
         }
@@ -1060,7 +3691,7 @@ async function postSpecificMonthChart(monthFilter) {
       type: 'header',
       text: {
         type: 'plain_text',
-        text: `📊 ${monthName} Chore Progress`
+        text: `📊 ${periodLabel} Chore Progress`
       }
     },
     {
@@ -1077,19 +3708,22 @@ async function postSpecificMonthChart(monthFilter) {
     
     let choreList = '';
     if (stat.completedChores.length > 0) {
-      choreList = `\\n✅ ${stat.completedChores.join(', ')}`;
+      choreList = `\n✅ ${stat.completedChores.join(', ')}`;
     } else {
-      choreList = '\\n📝 No completed chores yet';
+      choreList = '\n📝 No completed chores yet';
     }
     
     // Format the completion count nicely (show .5 as 0.5, whole numbers without decimals)
     const completedDisplay = stat.completed % 1 === 0 ? stat.completed.toString() : stat.completed.toFixed(1);
+    if (stat.verifying > 0) {
+      choreList += `\n🔍 ${formatCount(stat.verifying)} awaiting verification`;
+    }
     
     blocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*${stat.name}*\\n${progressBar} ${completedDisplay} completed${choreList}`
+        text: `*${stat.name}*\n${progressBar} ${completedDisplay} completed${choreList}`
       }
     });
   });
@@ -1103,23 +3737,23 @@ async function postSpecificMonthChart(monthFilter) {
       elements: [
         {
           type: 'mrkdwn',
-          text: `📅 Updated: ${dayjs().tz(TZ).format('MMM D, YYYY at h:mm A')}`
+          text: `📅 Updated: ${dayjs().tz(getTimezone()).format('MMM D, YYYY at h:mm A')}`
         }
       ]
     }
   );
   
   await app.client.chat.postMessage({
-    token: process.env.SLACK_BOT_TOKEN,
-    channel: process.env.CHANNEL_ID,
+    token: getBotToken(),
+    channel: getChannelId(),
     blocks: blocks
   });
 }
 
 async function postDailyProgressChart() {
   const history = await loadHistory();
-  const currentMonth = dayjs().tz(TZ).format('YYYY-[M]MM');
-  const monthName = dayjs().tz(TZ).format('MMMM YYYY');
+  const currentMonth = dayjs().tz(getTimezone()).format('YYYY-[M]MM');
+  const monthName = dayjs().tz(getTimezone()).format('MMMM YYYY');
   
   console.log('Current month filter:', currentMonth);
   console.log('Month name:', monthName);
@@ -1127,15 +3761,20 @@ async function postDailyProgressChart() {
   // Get all assignments for current month
   const monthHistory = history.filter(h => h.month === currentMonth);
   
+  // Balances the assignment engine uses (may span more than this month)
+  const balances = computeBalances(getConfig(), history, dayjs().tz(getTimezone()), await getFairnessInputs());
+  
   // Calculate stats for each roommate
   const stats = {};
-  config.roommates.forEach(roommate => {
+  getConfig().roommates.forEach(roommate => {
     stats[roommate.slackId] = {
       name: roommate.name,
       total: 0,
       completed: 0,
       pending: 0,
-      completedChores: []
+      verifying: 0,
+      completedChores: [],
+      balance: balances[roommate.slackId] || 0
     };
   });
   
@@ -1151,6 +3790,8 @@ async function postDailyProgressChart() {
           stats[assigneeId].completed += creditPerPerson;
           const choreDisplay = isShared ? `${h.chore} (shared)` : h.chore;
           stats[assigneeId].completedChores.push(choreDisplay);
+        } else if (h.verificationStatus === 'pending') {
+          stats[assigneeId].verifying += creditPerPerson;
         } else {
           stats[assigneeId].pending += creditPerPerson;
         }
@@ -1185,19 +3826,23 @@ async function postDailyProgressChart() {
     
     let choreList = '';
     if (stat.completedChores.length > 0) {
-      choreList = `\\n✅ ${stat.completedChores.join(', ')}`;
+      choreList = `\n✅ ${stat.completedChores.join(', ')}`;
     } else {
-      choreList = '\\n📝 No completed chores yet';
+      choreList = '\n📝 No completed chores yet';
     }
     
     // Format the completion count nicely (show .5 as 0.5, whole numbers without decimals)
     const completedDisplay = stat.completed % 1 === 0 ? stat.completed.toString() : stat.completed.toFixed(1);
+    if (stat.verifying > 0) {
+      choreList += `\n🔍 ${formatCount(stat.verifying)} awaiting verification`;
+    }
+    const balanceDisplay = stat.balance % 1 === 0 ? stat.balance.toString() : stat.balance.toFixed(1);
     
     blocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*${stat.name}*\\n${progressBar} ${completedDisplay} completed${choreList}`
+        text: `*${stat.name}*\n${progressBar} ${completedDisplay} completed${choreList}\n⚖️ Balance: ${balanceDisplay} pts`
       }
     });
   });
@@ -1211,15 +3856,19 @@ async function postDailyProgressChart() {
       elements: [
         {
           type: 'mrkdwn',
-          text: `📅 Updated: ${dayjs().tz(TZ).format('MMM D, YYYY at h:mm A')}`
+          text: `📅 Updated: ${dayjs().tz(getTimezone()).format('MMM D, YYYY at h:mm A')}`
+        },
+        {
+          type: 'mrkdwn',
+          text: `⚖️ Balance = effort-weighted points over ${describeFairness(getConfig())}; lowest balance gets the next chore`
         }
       ]
     }
   );
   
   await app.client.chat.postMessage({
-    token: process.env.SLACK_BOT_TOKEN,
-    channel: process.env.CHANNEL_ID,
+    token: getBotToken(),
+    channel: getChannelId(),
     blocks: blocks
   });
 }
@@ -1230,61 +3879,291 @@ function createProgressBar(percentage, length = 10) {
   return '█'.repeat(filled) + '░'.repeat(empty);
 }
 
-// DM reminder system - check every hour
-cron.schedule('0 * * * *', async () => {
-  try {
-    const history = await loadHistory();
-    const now = dayjs().tz(TZ);
-    const in30Minutes = now.add(30, 'minutes');
+// Minutes before the due time to send reminders when nothing more specific is configured
+const DEFAULT_REMINDER_LEAD_MINUTES = [30];
+
+// Lead times for one person on one chore: the roommate's setting wins over the
+// chore's, which wins over the `reminders` block in config.json
+function getReminderLeadMinutes(choreTitle, slackId) {
+  const roommate = getConfig().roommates.find(r => r.slackId === slackId);
+  const chore = getConfig().chores.find(c => c.title === choreTitle);
+  const leads = roommate?.reminderLeadMinutes
+    ?? chore?.reminderLeadMinutes
+    ?? getConfig().reminders?.leadMinutes
+    ?? DEFAULT_REMINDER_LEAD_MINUTES;
+  return (Array.isArray(leads) ? leads : [leads]).filter(lead => Number.isFinite(lead) && lead >= 0);
+}
+
+function formatLeadTime(minutes) {
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+// Make sure every upcoming assignment has ledger rows for each assignee and lead time
+async function syncReminderLedger(history, now) {
+  const upcoming = history.filter(h => !h.completed && h.dueDate && dayjs(h.dueDate).isAfter(now));
+  
+  for (const assignment of upcoming) {
+    const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+    for (const slackId of assigneeIds) {
+      for (const leadMinutes of getReminderLeadMinutes(assignment.chore, slackId)) {
+        await scheduleReminder({
+          assignmentId: assignment.id,
+          slackId,
+          leadMinutes,
+          dueDate: assignment.dueDate,
+          sendAt: dayjs(assignment.dueDate).subtract(leadMinutes, 'minute').toISOString()
+        });
+      }
+    }
+  }
+}
+
+async function sendDueReminders(history, now) {
+  const dueReminders = await loadDueReminders(now.toISOString());
+  if (dueReminders.length === 0) return;
+  
+  const awayPeriods = await getAwayPeriods();
+  
+  for (const reminder of dueReminders) {
+    const chore = history.find(h => h.id === reminder.assignmentId);
+    const assigneeIds = chore ? (Array.isArray(chore.assignedTo) ? chore.assignedTo : [chore.assignedTo]) : [];
     
-    // Find assignments due in about 30 minutes
-    const upcomingChores = history.filter(h => {
-      if (h.completed || !h.dueDate) return false;
-      
-      const dueTime = dayjs(h.dueDate).tz(TZ);
-      return dueTime.isAfter(now) && dueTime.isBefore(in30Minutes);
-    });
+    // Skip reminders that no longer apply: done, reassigned, rescheduled,
+    // lead time no longer configured, already past due (overdue escalation
+    // takes over) or the person is away
+    const stillRelevant = chore
+      && !chore.completed
+      && chore.dueDate === reminder.dueDate
+      && assigneeIds.includes(reminder.slackId)
+      && getReminderLeadMinutes(chore.chore, reminder.slackId).includes(reminder.leadMinutes)
+      && !(chore.completedBy || []).includes(reminder.slackId)
+      && dayjs(chore.dueDate).isAfter(now)
+      && !isAway(reminder.slackId, dayjs(chore.dueDate).tz(getTimezone()), awayPeriods);
+    
+    if (!stillRelevant) {
+      await markReminder(reminder.id, 'skipped');
+      continue;
+    }
+    
+    // Hold it until their quiet hours end. If the chore is due by then it's
+    // skipped and the overdue nudge takes over.
+    const quietUntil = await getQuietUntil(reminder.slackId, now);
+    if (quietUntil) {
+      await deferReminder(reminder.id, quietUntil.toISOString());
+      continue;
+    }
+    
+    // Claim before sending so a restart mid-run can't send it twice
+    if (!(await markReminder(reminder.id, 'sent'))) continue;
     
-    for (const chore of upcomingChores) {
-      const assigneeIds = Array.isArray(chore.assignedTo) ? chore.assignedTo : [chore.assignedTo];
+    try {
+      // In the recipient's own timezone
+      const timezone = await getUserTimezone(reminder.slackId);
+      const due = dayjs(chore.dueDate).tz(timezone);
+      const dueText = due.format('h:mm A');
+      const minutesLeft = Math.max(1, Math.round(dayjs(chore.dueDate).diff(now, 'minute', true)));
+      const dayText = due.isSame(now.tz(timezone), 'day') ? '' : ` ${due.format('dddd')}`;
+      let message = `⏰ Reminder: *${chore.chore}* is due${dayText} at ${dueText} (in ~${formatLeadTime(minutesLeft)})!`;
       
-      for (const assigneeId of assigneeIds) {
-        try {
-          const dm = await app.client.conversations.open({
-            token: process.env.SLACK_BOT_TOKEN,
-            users: assigneeId
-          });
-          
-          const dueText = dayjs(chore.dueDate).tz(TZ).format('h:mm A');
-          let message = `⏰ Reminder: *${chore.chore}* is due at ${dueText} (in ~30 minutes)!`;
-          
-          // Add shared task info if applicable
-          if (assigneeIds.length > 1) {
-            const otherNames = chore.assigneeNames?.filter((name, i) => 
-              (Array.isArray(chore.assignedTo) ? chore.assignedTo[i] : chore.assignedTo) !== assigneeId
-            ) || [];
-            if (otherNames.length > 0) {
-              message += `\n\n👥 Shared with: ${otherNames.join(', ')}`;
-            }
-          }
-          
-          message += '\n\nReply "done" when complete!';
-          
-          await app.client.chat.postMessage({
-            token: process.env.SLACK_BOT_TOKEN,
-            channel: dm.channel.id,
-            text: message
-          });
-        } catch (error) {
-          console.error(`Error sending reminder for ${chore.chore} to ${assigneeId}:`, error);
+      // Add shared task info if applicable
+      if (assigneeIds.length > 1) {
+        const otherNames = chore.assigneeNames?.filter((name, i) => assigneeIds[i] !== reminder.slackId) || [];
+        if (otherNames.length > 0) {
+          message += `\n\n👥 Shared with: ${otherNames.join(', ')}`;
         }
       }
+      
+      message += '\n\nReply "done" when complete!';
+      
+      await sendDirectMessage(reminder.slackId, message);
+      await recordAudit('reminder_sent', 'system', chore.id, { slackId: reminder.slackId, leadMinutes: reminder.leadMinutes });
+    } catch (error) {
+      console.error(`Error sending reminder for ${chore.chore} to ${reminder.slackId}:`, error);
     }
+  }
+}
+
+// DM reminder system - check the ledger every minute
+scheduleForEachHousehold('* * * * *', async () => {
+  try {
+    const history = await loadHistory();
+    const now = dayjs().tz(getTimezone());
+    
+    await syncReminderLedger(history, now);
+    await sendDueReminders(history, now);
   } catch (error) {
     console.error('Error in reminder cron:', error);
   }
-}, {
-  timezone: TZ
+});
+
+// Overdue escalation stages, used when config.json has no `overdue` block.
+// Actions: dm (assignees who haven't finished), channel (post to CHANNEL_ID),
+// reassign (hand it to someone else) and penalty (lower fairness balance).
+const DEFAULT_OVERDUE = {
+  maxAgeDays: 7,
+  stages: [
+    { name: 'due', afterHours: 0, action: 'dm' },
+    { name: 'nudge', afterHours: 4, action: 'dm' },
+    { name: 'channel', afterHours: 24, action: 'channel' }
+  ]
+};
+
+function getOverdueSettings() {
+  const settings = { ...DEFAULT_OVERDUE, ...(getConfig().overdue || {}) };
+  const stages = (settings.stages || [])
+    .filter(stage => {
+      if (['dm', 'channel', 'reassign', 'penalty'].includes(stage.action)) return true;
+      console.warn(`Ignoring overdue stage "${stage.name}" with unknown action "${stage.action}"`);
+      return false;
+    })
+    .sort((a, b) => a.afterHours - b.afterHours);
+  return { ...settings, stages };
+}
+
+function getUnfinishedAssignees(assignment) {
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  return assigneeIds.filter(id => !(assignment.completedBy || []).includes(id));
+}
+
+async function isAnyoneQuiet(slackIds, time) {
+  for (const slackId of slackIds) {
+    if (await getQuietUntil(slackId, time)) return true;
+  }
+  return false;
+}
+
+async function runOverdueEscalations() {
+  const settings = getOverdueSettings();
+  if (settings.stages.length === 0) return;
+  
+  const history = await loadHistory();
+  const now = dayjs().tz(getTimezone());
+  
+  // Chores past due (but not ancient ones, so old rows don't all escalate at once)
+  const overdueChores = history.filter(h => {
+    if (h.completed || !h.dueDate || h.verificationStatus === 'pending') return false;
+    const hoursOverdue = now.diff(dayjs(h.dueDate), 'hour', true);
+    return hoursOverdue >= 0 && hoursOverdue <= settings.maxAgeDays * 24;
+  });
+  
+  for (const assignment of overdueChores) {
+    const hoursOverdue = now.diff(dayjs(assignment.dueDate), 'hour', true);
+    const recorded = new Set((await loadEscalations(assignment.id)).map(e => e.stage));
+    const reached = settings.stages.filter(stage => hoursOverdue >= stage.afterHours && !recorded.has(stage.name));
+    if (reached.length === 0) continue;
+    
+    // After downtime several stages can be due at once; only the latest fire
+    // and earlier ones are recorded as skipped so nobody gets a burst of DMs
+    const latestHours = reached[reached.length - 1].afterHours;
+    for (const stage of reached) {
+      if (stage.afterHours < latestHours) {
+        await claimEscalation(assignment.id, stage.name, stage.action, true);
+        continue;
+      }
+      
+      // Stages that ping people wait until none of them are in quiet hours
+      if (stage.action !== 'penalty' && await isAnyoneQuiet(getUnfinishedAssignees(assignment), now)) continue;
+      
+      if (!(await claimEscalation(assignment.id, stage.name, stage.action))) continue;
+      
+      try {
+        await fireOverdueStage(stage, assignment, history, now);
+        await recordAudit(`overdue_${stage.action}`, 'system', assignment.id, { stage: stage.name });
+      } catch (error) {
+        console.error(`Error running overdue stage ${stage.name} for ${assignment.chore}:`, error);
+      }
+    }
+  }
+}
+
+async function fireOverdueStage(stage, assignment, history, now) {
+  const assigneeIds = Array.isArray(assignment.assignedTo) ? assignment.assignedTo : [assignment.assignedTo];
+  const pendingIds = getUnfinishedAssignees(assignment);
+  const dueText = dayjs(assignment.dueDate).tz(getTimezone()).format('ddd, MMM D [at] h:mm A');
+  const hoursOverdue = Math.floor(now.diff(dayjs(assignment.dueDate), 'hour', true));
+  
+  if (stage.action === 'dm') {
+    const awayPeriods = await getAwayPeriods();
+    for (const assigneeId of pendingIds) {
+      if (isAway(assigneeId, dayjs(assignment.dueDate).tz(getTimezone()), awayPeriods)) continue;
+      const message = stage.message
+        || (hoursOverdue < 1
+          ? `⏰ *${assignment.chore}* is due now!`
+          : `⏰ *${assignment.chore}* was due ${await formatTimeFor(assigneeId, assignment.dueDate)} and is still open (${hoursOverdue}h overdue).`);
+      await sendDirectMessage(assigneeId, `${message}\n\nReply "done" when complete!`);
+    }
+  } else if (stage.action === 'channel') {
+    const mentions = pendingIds.map(id => `<@${id}>`).join(' & ');
+    await app.client.chat.postMessage({
+      token: getBotToken(),
+      channel: getChannelId(),
+      text: stage.message || `⚠️ *${assignment.chore}* (${mentions}) was due ${dueText} and still isn't done. Can anyone help out?`
+    });
+  } else if (stage.action === 'penalty') {
+    const points = stage.points ?? 1;
+    for (const assigneeId of pendingIds) {
+      await saveFairnessAdjustment({
+        slackId: assigneeId,
+        points: -points,
+        reason: `Overdue: ${assignment.chore}`,
+        assignmentId: assignment.id,
+        month: now.format('YYYY-[M]MM'),
+        date: now.toISOString()
+      });
+    }
+  } else if (stage.action === 'reassign') {
+    const chore = getConfig().chores.find(c => c.title === assignment.chore) || { title: assignment.chore };
+    const { awayPeriods, adjustments } = await getFairnessInputs();
+    const { roommate: newAssignee } = chooseAssignee(getConfig(), chore, history, now, {
+      exclude: new Set(assigneeIds),
+      awayPeriods,
+      adjustments
+    });
+    
+    if (assigneeIds.includes(newAssignee.slackId)) {
+      console.log(`No one else available to take over ${assignment.chore}`);
+      return;
+    }
+    
+    const graceHours = stage.graceHours ?? 24;
+    const newDueDate = now.add(graceHours, 'hour').toISOString();
+    await updateAssignment(assignment.id, {
+      assignedTo: [newAssignee.slackId],
+      assigneeNames: [newAssignee.name],
+      completedBy: [],
+      isShared: false,
+      dueDate: newDueDate
+    });
+    await recordAudit('reassigned', 'system', assignment.id, {
+      reason: 'overdue',
+      previousAssignedTo: assigneeIds,
+      assignedTo: [newAssignee.slackId]
+    });
+    
+    await sendDirectMessage(
+      newAssignee.slackId,
+      `🆘 *${assignment.chore}* was overdue, so it's been passed to you. New due time: ${await formatTimeFor(newAssignee.slackId, newDueDate)}.\n\nReply "done" when complete!`
+    );
+    for (const assigneeId of pendingIds) {
+      await sendDirectMessage(assigneeId, `↪️ *${assignment.chore}* was overdue and has been handed to ${newAssignee.name}.`);
+    }
+    await postWeeklyThreadUpdate(
+      assignment.week,
+      `↪️ *${assignment.chore}* was overdue and moved from ${assigneeIds.map(id => `<@${id}>`).join(' & ')} to <@${newAssignee.slackId}>`
+    );
+  }
+}
+
+// Overdue escalations - every 15 minutes
+scheduleForEachHousehold('*/15 * * * *', async () => {
+  try {
+    await runOverdueEscalations();
+  } catch (error) {
+    console.error('Error in overdue escalation cron:', error);
+  }
 });
 
 // Error handling
@@ -1293,75 +4172,83 @@ app.error((error) => {
 });
 
 // Initialize this week's assignments (since it's mid-week)
+// This week's scheduled occurrences that still count (already assigned, or
+// not yet due), and which of them are assigned and completed
+function getThisWeekStatus(history, now) {
+  const currentWeek = formatWeek(now);
+  const existingAssignments = history.filter(h => h.week === currentWeek);
+  const scheduled = getWeekOccurrences().filter(o =>
+    o.dueDate.isAfter(now) || existingAssignments.some(h => matchesOccurrence(h, o))
+  );
+  return {
+    currentWeek,
+    existingAssignments,
+    scheduled,
+    assigned: scheduled.filter(o => existingAssignments.some(h => matchesOccurrence(h, o))),
+    completed: scheduled.filter(o => existingAssignments.some(h => h.completed && matchesOccurrence(h, o)))
+  };
+}
+
+// Post the celebration the first time every scheduled chore this week is done
+async function celebrateWeekIfDone(history) {
+  const status = getThisWeekStatus(history, dayjs().tz(getTimezone()));
+  if (status.scheduled.length === 0 || status.completed.length < status.scheduled.length) return;
+  if (!(await claimWeeklyCelebration(status.currentWeek))) return;
+  
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '🎉 *All auto assigned tasks have been completed for this week!*'
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Great job everyone! All scheduled chores for this week are done. 🧹✨'
+      }
+    }
+  ];
+  
+  try {
+    await app.client.chat.postMessage({
+      token: getBotToken(),
+      channel: getChannelId(),
+      blocks: blocks,
+      text: '🎉 All auto assigned tasks have been completed for this week!'
+    });
+    console.log('✅ Posted celebratory completion message!');
+  } catch (error) {
+    console.error('Error posting celebratory message:', error);
+  }
+}
+
 async function initializeThisWeek() {
   try {
-    const currentWeek = formatWeek(dayjs().tz(TZ));
     const history = await loadHistory();
-    
-    // Check existing assignments for this week
-    const existingAssignments = history.filter(h => h.week === currentWeek);
+    const now = dayjs().tz(getTimezone());
+    const { currentWeek, existingAssignments, scheduled, assigned, completed } = getThisWeekStatus(history, now);
     const completedChores = existingAssignments.filter(h => h.completed);
-    const scheduledChores = config.chores.filter(c => c.due.weekday !== -1);
     
-    console.log(`Week ${currentWeek} status: ${existingAssignments.length}/${scheduledChores.length} chores assigned, ${completedChores.length} completed`);
-    console.log('Scheduled chores:', scheduledChores.map(c => c.title));
+    console.log(`Week ${currentWeek} status: ${assigned.length}/${scheduled.length} chores assigned, ${completedChores.length} completed`);
+    console.log('Scheduled chores:', scheduled.map(o => `${o.chore.title} (${o.dueDate.format('ddd')})`));
     console.log('Existing assignments:', existingAssignments.map(a => `${a.chore} (completed: ${a.completed})`));
     console.log('Completed chores:', completedChores.map(c => c.chore));
     
-    if (existingAssignments.length >= scheduledChores.length) {
+    if (assigned.length >= scheduled.length) {
       console.log('✅ All scheduled chores for this week are already assigned!');
+      console.log(`Completion check: ${completed.length} >= ${scheduled.length}`);
       
-      // Check if all scheduled chores are also completed for celebration message
-      const completedScheduledChores = scheduledChores.filter(chore => 
-        completedChores.some(h => h.chore === chore.title)
-      );
-      
-      console.log('Completed scheduled chores:', completedScheduledChores.map(c => c.title));
-      console.log(`Completion check: ${completedScheduledChores.length} >= ${scheduledChores.length}`);
-      
-      if (completedScheduledChores.length >= scheduledChores.length) {
-        // Post celebratory message
-        const blocks = [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '🎉 *All auto assigned tasks have been completed for this week!*'
-            }
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: 'Great job everyone! All scheduled chores for this week are done. 🧹✨'
-            }
-          }
-        ];
-        
-        try {
-          await app.client.chat.postMessage({
-            token: process.env.SLACK_BOT_TOKEN,
-            channel: process.env.CHANNEL_ID,
-            blocks: blocks,
-            text: '🎉 All auto assigned tasks have been completed for this week!'
-          });
-          console.log('✅ Posted celebratory completion message!');
-        } catch (error) {
-          console.error('Error posting celebratory message:', error);
-        }
-      }
+      // Celebrates only once per week, even across restarts
+      await celebrateWeekIfDone(history);
       return;
     }
     
-    // Try to assign remaining chores
-    const assignments = await assignChores(false);
-    
-    if (assignments.length > 0) {
-      await postAssignments(assignments, process.env.CHANNEL_ID);
-      console.log(`✅ Posted ${assignments.length} remaining assignments for this week!`);
-    } else {
-      console.log('✅ No additional chore assignments needed this week.');
-    }
+    // Draft the remaining chores for someone to publish
+    const draft = await draftWeeklyAssignments();
+    if (draft) console.log(`📝 Sent a draft of ${draft.items.length} remaining assignments for review`);
   } catch (error) {
     console.error('Error initializing this week:', error);
   }
@@ -1372,19 +4259,33 @@ async function initializeThisWeek() {
   try {
     await initDatabase();
     await loadConfig();
-    await initializeSeedData();
+    
+    // history.json seeds the original household only
+    const seedHousehold = households.find(h => h.id === DEFAULT_HOUSEHOLD_ID);
+    if (seedHousehold) await runInHousehold(seedHousehold, initializeSeedData);
     
     const port = process.env.PORT || 3000;
     await app.start(port);
+    startHouseholdJobs();
     
     console.log(`⚡️ Slack ChoreBot is running on port ${port}!`);
-    console.log(`Timezone: ${TZ}`);
-    console.log(`Channel ID: ${process.env.CHANNEL_ID}`);
-    console.log(`Roommates: ${config.roommates.map(r => r.name).join(', ')}`);
+    households.forEach(household => {
+      console.log(`🏠 ${household.name} (${household.id})`);
+      console.log(`  Timezone: ${household.timezone}`);
+      console.log(`  Channel ID: ${household.channelId}`);
+      console.log(`  Roommates: ${household.config.roommates.map(r => r.name).join(', ')}`);
+    });
     
     // Initialize this week's assignments and post current progress
-    setTimeout(async () => {
+    households.forEach(household => setTimeout(() => runInHousehold(household, async () => {
       await initializeThisWeek();
+      if (dayjs().tz(getTimezone()).date() <= RECAP_CATCH_UP_DAYS) {
+        try {
+          if (await postMonthlyRecap()) console.log('✅ Missed monthly recap posted!');
+        } catch (error) {
+          console.error('Error posting missed monthly recap:', error);
+        }
+      }
       // Post initial progress chart since we're starting mid-week
       setTimeout(async () => {
         try {
@@ -1395,9 +4296,9 @@ async function initializeThisWeek() {
           console.error('Error posting initial progress chart:', error);
         }
       }, 3000);
-    }, 2000);
+    }), 2000));
   } catch (error) {
     console.error('Failed to start app:', error);
     process.exit(1);
   }
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,143 @@
+// What someone means when they DM the bot. Messages are short and casual, so
+// this matches a handful of phrasings rather than trying to understand
+// everything; anything else gets a reply listing what works.
+//   done / done with vacuum / vacuum is done / finished the trash
+//   undo / undo vacuum
+//   what do I have / my chores / what's left
+//   skip this week / skip vacuum
+//   swap vacuum with Zo / swap with @Zo
+// Questions ("is the vacuum done?", "did you do it") never count as done.
+
+// Words that say nothing about which chore is meant
+const FILLER = new Set([
+  'the', 'my', 'a', 'an', 'with', 'doing', 'of', 'for', 'this', 'week', 'weeks', 'it', 'all', 'i', 'just',
+  'now', 'today', 'thanks', 'thank', 'you', 'thx', 'ty', 'please', 'yay',
+  // Acknowledgements: "ok done", "finally done", "done, no problems"
+  'ok', 'okay', 'yep', 'yes', 'yeah', 'finally', 'so', 'well', 'no', 'way', 'problem', 'problems', 'worries'
+]);
+
+// A negation attached to the completion verb: "not done", "haven't finished",
+// "didn't do it", "not quite done", or a bare "not yet". A "no" elsewhere in
+// the message ("done, no problems") doesn't count.
+const NEGATION = /\b(?:not|never)\s+(?:(?:yet|quite|really|even|been)\s+)*(?:done|finish(?:ed)?|complete(?:d)?|did|do)\b|n't\s+(?:(?:yet|quite|really|even|been)\s+)*(?:done|finish(?:ed)?|complete(?:d)?|did|do)\b|\bnot\s+yet\b/;
+
+// Who "did ..." can ask about, as opposed to "did the dishes"
+const PRONOUNS = 'you|he|she|they|we|i|someone|anyone|somebody|anybody|everyone|everybody';
+
+// Starts of a question about whether something is done
+const QUESTION_START = new RegExp(`^(?:is|are|was|were|has|have|had|does|do|did (?:${PRONOUNS}))\\b`);
+
+const COMPLETION = /\b(done|finish(ed)?|complete(d)?|did)\b/;
+
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[’]/g, "'")
+    .replace(/[!?.,;:]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// What's left of a message once filler is gone, e.g. "with the vacuum" -> "vacuum"
+function choreQuery(text) {
+  return (text || '').split(' ').filter(word => word && !FILLER.has(word)).join(' ');
+}
+
+// Parse a DM into { type, chore, target }. `type` is one of done, negated,
+// question, undo, agenda, skip, swap, help or unknown; `chore` is the words naming a
+// chore ('' when none) and `target` who a swap is with.
+export function parseIntent(text) {
+  // Keep Slack mentions intact for swap targets
+  const raw = (text || '').trim();
+  const value = normalize(raw.replace(/<@[^>]+>/g, ''));
+  const mention = raw.match(/<@[^>]+>/)?.[0];
+
+  if (!value && !mention) return { type: 'unknown', chore: '' };
+
+  if (/^(help|\?|commands|what can you do)$/.test(value)) return { type: 'help', chore: '' };
+
+  const undo = value.match(/^(?:undo(?:ne)?|unmark|revert|oops)\b(.*)$/);
+  if (undo) return { type: 'undo', chore: choreQuery(undo[1].replace(/\b(done|that|last)\b/g, '')) };
+
+  if (/^(what do i (have|need to do|owe)|what('s| is) (left|pending|mine|on my plate)|(show |list )?my chores|what are my chores|list|agenda|to ?do|todo)$/.test(value)) {
+    return { type: 'agenda', chore: '' };
+  }
+
+  const skip = value.match(/^(?:can i |i'll |i will |please )?skip(?:ping)?\b(.*)$/);
+  if (skip) return { type: 'skip', chore: choreQuery(skip[1]) };
+
+  const swap = value.match(/^swap\b(.*?)(?:\bwith\b(.*))?$/);
+  if (swap) {
+    return {
+      type: 'swap',
+      chore: choreQuery(swap[1]),
+      target: mention || (swap[2] || '').trim()
+    };
+  }
+
+  // "not done yet", "haven't finished the vacuum", "I'm not done"
+  if (NEGATION.test(value)) {
+    return { type: 'negated', chore: '' };
+  }
+
+  // "is the vacuum done?", "done?", "did you do it": asking, not telling.
+  // Mentions count as someone, so "did @Zo do it" is a question too.
+  const asked = normalize(raw.replace(/<@[^>]+>/g, 'someone'));
+  if (COMPLETION.test(asked) && (raw.endsWith('?') || QUESTION_START.test(asked))) {
+    const rest = asked
+      .replace(QUESTION_START, '')
+      .replace(new RegExp(`\\b(done|finish(ed)?|complete(d)?|did|do|does|been|is|are|was|were|${PRONOUNS})\\b`, 'g'), ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { type: 'question', chore: choreQuery(rest) };
+  }
+
+  // done / done with vacuum / i'm done / i finished the trash / did the dishes
+  const leading = value.match(new RegExp(`^(?:ok |okay |yep |yes |yeah |finally |so |well |i'm |im |i am |i |all |just )*(?:done|finished|completed?|did(?! (?:${PRONOUNS})\\b))\\b(.*)$`));
+  if (leading) return { type: 'done', chore: choreQuery(leading[1]) };
+
+  // vacuum done / trash is done / dishes are finished
+  const trailing = value.match(/^(.+?) (?:is |are |all )?(?:done|finished|complete|completed)$/);
+  if (trailing) return { type: 'done', chore: choreQuery(trailing[1]) };
+
+  return { type: 'unknown', chore: '' };
+}
+
+function words(text) {
+  return normalize(text).split(' ').filter(word => word.length >= 3 && !FILLER.has(word));
+}
+
+// "vacuum" matches "Vacuum downstairs", "dish" matches "dishwasher" and
+// "dishes", "bins" matches "bin"
+function wordsMatch(a, b) {
+  if (a.startsWith(b) || b.startsWith(a)) return true;
+  const stem = Math.min(a.length, b.length, 5);
+  return stem >= 4 && a.slice(0, stem) === b.slice(0, stem);
+}
+
+// Items whose names best fit `query`: an exact name wins, otherwise those
+// sharing the most words with one of their names. `namesOf(item)` lists the
+// names to try, e.g. a chore's title and aliases. Empty when nothing fits.
+export function matchNames(query, items, namesOf) {
+  const wanted = normalize(query);
+  if (!wanted) return [];
+
+  const exact = items.filter(item => namesOf(item).some(name => normalize(name) === wanted));
+  if (exact.length > 0) return exact;
+
+  const queryWords = words(wanted);
+  const scored = items.map(item => {
+    const score = Math.max(0, ...namesOf(item).map(name => {
+      const nameWords = words(name);
+      return queryWords.filter(q => nameWords.some(n => wordsMatch(q, n))).length;
+    }));
+    return { item, score };
+  });
+  const best = Math.max(0, ...scored.map(s => s.score));
+  return best > 0 ? scored.filter(s => s.score === best).map(s => s.item) : [];
+}
+
+// Assignments whose chore best fits `query`
+export function matchAssignments(query, assignments) {
+  return matchNames(query, assignments, assignment => [assignment.chore]);
+}
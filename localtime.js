@@ -0,0 +1,69 @@
+import dayjs from 'dayjs';
+
+// Each roommate's own clock: their timezone and the quiet hours during which
+// the bot holds back reminders and nudges. Quiet hours are local times and
+// may wrap past midnight, e.g. { "start": "22:00", "end": "07:30" }.
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseClock(text) {
+  const match = String(text).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Check quiet hours from config.json. Returns { start, end } as HH:mm, or
+// null for none; throws on anything else.
+export function normalizeQuietHours(value) {
+  if (value === null || value === undefined) return null;
+  const start = parseClock(value.start);
+  const end = parseClock(value.end);
+  if (start === null || end === null) {
+    throw new Error(`Quiet hours need "start" and "end" as HH:mm, e.g. { "start": "22:00", "end": "07:30" }`);
+  }
+  if (start === end) throw new Error('Quiet hours must start and end at different times');
+  return { start: formatClock(start), end: formatClock(end) };
+}
+
+// "22:00-07:30" from /chore admin -> { start: '22:00', end: '07:30' }
+export function parseQuietHours(text) {
+  const [start, end] = String(text).split('-');
+  try {
+    return normalizeQuietHours({ start, end });
+  } catch {
+    throw new Error(`Invalid quiet hours "${text}" (use start-end in 24h time, e.g. 22:00-07:30)`);
+  }
+}
+
+export function describeQuietHours(quietHours) {
+  return `${quietHours.start}–${quietHours.end}`;
+}
+
+// When the quiet hours around `time` end, or null if `time` isn't in them
+export function quietHoursEnd(quietHours, time, timezone) {
+  if (!quietHours) return null;
+  const local = dayjs(time).tz(timezone);
+  const minutes = local.hour() * 60 + local.minute();
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+
+  const endsOn = day => dayjs.tz(`${day.format('YYYY-MM-DD')} ${quietHours.end}`, timezone);
+  if (start < end) {
+    return minutes >= start && minutes < end ? endsOn(local) : null;
+  }
+  // Overnight, e.g. 22:00-07:30
+  if (minutes >= start) return endsOn(local.add(1, 'day'));
+  if (minutes < end) return endsOn(local);
+  return null;
+}
@@ -0,0 +1,112 @@
+import dayjs from 'dayjs';
+import isoWeek from 'dayjs/plugin/isoWeek.js';
+import { parseDay } from './availability.js';
+
+dayjs.extend(isoWeek);
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+export const PERIOD_EXAMPLES = '`august`, `aug 2024`, `2025-08`, `last month`, `this week`, `2025-W32` or `2025-08-01 to 2025-08-15`';
+
+// Week label used everywhere, e.g. 2025-W32. ISO weeks start on Monday and
+// belong to the year that holds their Thursday.
+export function formatWeek(date) {
+  return date.isoWeekYear() + '-W' + String(date.isoWeek()).padStart(2, '0');
+}
+
+function monthPeriod(month) {
+  return {
+    label: month.format('MMMM YYYY'),
+    // History rows carry the month they were assigned in, same as fairness "month" mode
+    filter: h => h.month === month.format('YYYY-[M]MM')
+  };
+}
+
+// ISO week `week` of `year`: week 1 holds January 4th
+function weekPeriod(year, week) {
+  const jan4 = dayjs(`${year}-01-04`);
+  const monday = jan4.subtract((jan4.day() + 6) % 7, 'day').add(week - 1, 'week');
+  const weekLabel = `${year}-W${String(week).padStart(2, '0')}`;
+  return {
+    label: `Week ${week}, ${year} (${monday.format('MMM D')} – ${monday.add(6, 'day').format('MMM D')})`,
+    filter: h => h.week === weekLabel
+  };
+}
+
+// Inclusive range of calendar days, matched on each chore's due date (or
+// assignment date for manual tasks) in the house timezone
+function rangePeriod(start, end, tz) {
+  const first = start.format('YYYY-MM-DD');
+  const last = end.format('YYYY-MM-DD');
+  return {
+    label: first === last
+      ? start.format('MMM D, YYYY')
+      : `${start.format('MMM D, YYYY')} – ${end.format('MMM D, YYYY')}`,
+    filter: h => {
+      const day = dayjs(h.dueDate || h.date).tz(tz).format('YYYY-MM-DD');
+      return first <= day && day <= last;
+    }
+  };
+}
+
+// Parse `/chart` input into { label, filter(historyEntry) }. `now` is in the
+// house timezone. Throws with a usage hint when the text isn't a period.
+export function parsePeriod(text, now, tz) {
+  const value = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (value === 'this month') return monthPeriod(now.startOf('month'));
+  if (value === 'last month') return monthPeriod(now.startOf('month').subtract(1, 'month'));
+
+  const today = dayjs(now.format('YYYY-MM-DD'));
+  if (value === 'this week') return weekPeriod(today.isoWeekYear(), today.isoWeek());
+  if (value === 'last week') {
+    const lastWeek = today.subtract(1, 'week');
+    return weekPeriod(lastWeek.isoWeekYear(), lastWeek.isoWeek());
+  }
+
+  // 2025-W32
+  const week = value.match(/^(\d{4})-w(\d{1,2})$/);
+  if (week) {
+    const number = Number(week[2]);
+    // December 28th is always in the last ISO week of its year
+    const weeksInYear = dayjs(`${week[1]}-12-28`).isoWeek();
+    if (number < 1 || number > weeksInYear) {
+      throw new Error(`${week[1]} has weeks 1 to ${weeksInYear}.`);
+    }
+    return weekPeriod(Number(week[1]), number);
+  }
+
+  // 2025-08 or the stored 2025-M08 form
+  const yearMonth = value.match(/^(\d{4})-m?(\d{1,2})$/);
+  if (yearMonth) {
+    const month = Number(yearMonth[2]);
+    if (month < 1 || month > 12) throw new Error(`"${text.trim()}" isn't a month.`);
+    return monthPeriod(dayjs(`${yearMonth[1]}-${String(month).padStart(2, '0')}-01`));
+  }
+
+  // august, aug, august 2024 - without a year, the most recent one so far
+  const named = value.match(/^([a-z]+)(?: (\d{4}))?$/);
+  if (named && named[1].length >= 3) {
+    const index = MONTH_NAMES.findIndex(name => name.startsWith(named[1]));
+    if (index !== -1) {
+      let year = named[2] ? Number(named[2]) : now.year();
+      if (!named[2] && index > now.month()) year -= 1;
+      return monthPeriod(dayjs(`${year}-${String(index + 1).padStart(2, '0')}-01`));
+    }
+  }
+
+  // 2025-08-01 to 2025-08-15, 2025-08-01..2025-08-15, or a single day
+  const range = value.match(/^(\d{4}-\d{2}-\d{2})(?:\s*(?:to|\.\.|-|–)\s*|\s+)?(\d{4}-\d{2}-\d{2})?$/);
+  if (range) {
+    const start = parseDay(range[1]);
+    const end = parseDay(range[2] || range[1]);
+    if (!start || !end) throw new Error(`"${text.trim()}" has a date that doesn't exist.`);
+    if (end.isBefore(start)) throw new Error('The end date must be on or after the start date.');
+    return rangePeriod(start, end, tz);
+  }
+
+  throw new Error(`I don't understand "${text.trim()}". Try ${PERIOD_EXAMPLES}.`);
+}
@@ -0,0 +1,145 @@
+import dayjs from 'dayjs';
+import { assigneesOf, creditFor, didPart, isOnTime } from './stats.js';
+
+// The monthly recap posted when a month rolls over: what everyone got done,
+// badges earned from history and personal bests. Badges are saved so they
+// show up in /chore me and on the Home tab afterwards.
+
+// Defaults for the `recap` block in config.json. "alphabetical" keeps the
+// no-ranking spirit of the charts; "ranked" orders by chores done with medals.
+export const DEFAULT_RECAP = {
+  order: 'alphabetical',
+  streakBadge: 5
+};
+
+export const BADGES = {
+  streak: { emoji: '🔥', name: 'On a roll' },
+  clean_sweep: { emoji: '💯', name: 'Clean sweep' },
+  manual_hero: { emoji: '🦸', name: 'Manual task hero' },
+  helper: { emoji: '🤝', name: 'Helping hand' }
+};
+
+export function getRecapSettings(config) {
+  const settings = { ...DEFAULT_RECAP, ...(config.recap || {}) };
+  if (!['alphabetical', 'ranked'].includes(settings.order)) {
+    console.warn(`Unknown recap order "${settings.order}", falling back to "${DEFAULT_RECAP.order}"`);
+    settings.order = DEFAULT_RECAP.order;
+  }
+  return settings;
+}
+
+export function describeBadge(badge) {
+  const { emoji, name } = BADGES[badge.badge] || { emoji: '🏅', name: badge.badge };
+  return `${emoji} *${name}*${badge.detail ? `: ${badge.detail}` : ''}`;
+}
+
+// On-time streaks over someone's scheduled chores, oldest first: the longest
+// reached before `start` and the longest reached by a chore due in [start, end)
+function streaksAround(history, slackId, start, end) {
+  const scheduled = history
+    .filter(h => h.dueDate && assigneesOf(h).includes(slackId) && dayjs(h.dueDate).isBefore(end))
+    .sort((a, b) => dayjs(a.dueDate).valueOf() - dayjs(b.dueDate).valueOf());
+
+  let streak = 0;
+  let bestBefore = 0;
+  let bestInMonth = 0;
+  scheduled.forEach(h => {
+    streak = isOnTime(h, slackId) ? streak + 1 : 0;
+    if (dayjs(h.dueDate).isBefore(start)) {
+      bestBefore = Math.max(bestBefore, streak);
+    } else {
+      bestInMonth = Math.max(bestInMonth, streak);
+    }
+  });
+  return { bestBefore, bestInMonth };
+}
+
+// Chores done per month label, for personal bests
+function completedByMonth(history, slackId) {
+  const totals = {};
+  history
+    .filter(h => assigneesOf(h).includes(slackId) && didPart(h, slackId))
+    .forEach(h => {
+      totals[h.month] = (totals[h.month] || 0) + creditFor(h);
+    });
+  return totals;
+}
+
+// Recap for the month starting at `month` (a dayjs in the house timezone).
+// `helps` are audit entries where someone took a chore off a roommate
+// (accepted swaps, claimed bounties); `actor` is the helper.
+// Returns { month, label, roommates: [...], badges: [{ slackId, month, badge, detail }] }
+export function computeMonthlyRecap(config, history, month, { helps = [] } = {}) {
+  const settings = getRecapSettings(config);
+  const label = month.format('YYYY-[M]MM');
+  const start = month.startOf('month');
+  const end = start.add(1, 'month');
+
+  const roommates = config.roommates.map(roommate => {
+    const slackId = roommate.slackId;
+    const inMonth = history.filter(h => h.month === label && assigneesOf(h).includes(slackId));
+    const scheduled = inMonth.filter(h => h.dueDate);
+    const assigned = inMonth.reduce((sum, h) => sum + creditFor(h), 0);
+    const completed = inMonth.filter(h => didPart(h, slackId)).reduce((sum, h) => sum + creditFor(h), 0);
+    const { bestBefore, bestInMonth } = streaksAround(history, slackId, start, end);
+
+    // Personal bests only count against earlier months they had chores in
+    const bests = [];
+    const earlier = Object.entries(completedByMonth(history, slackId)).filter(([m]) => m < label);
+    const previousMost = Math.max(0, ...earlier.map(([, total]) => total));
+    if (earlier.length > 0 && completed > previousMost) {
+      bests.push({ kind: 'completed', value: completed, previous: previousMost });
+    }
+    if (bestBefore > 0 && bestInMonth > bestBefore) {
+      bests.push({ kind: 'streak', value: bestInMonth, previous: bestBefore });
+    }
+
+    return {
+      slackId,
+      name: roommate.name,
+      assigned,
+      completed,
+      scheduled: scheduled.length,
+      onTime: scheduled.filter(h => isOnTime(h, slackId)).length,
+      manual: inMonth.filter(h => !h.dueDate).length,
+      helps: helps.filter(entry => entry.actor === slackId).length,
+      streak: bestInMonth,
+      bests
+    };
+  });
+
+  const badges = [];
+  const award = (slackId, badge, detail) => badges.push({ slackId, month: label, badge, detail });
+
+  roommates.forEach(r => {
+    if (r.streak >= settings.streakBadge) {
+      award(r.slackId, 'streak', `${r.streak} chores on time in a row`);
+    }
+    if (r.scheduled > 0 && r.onTime === r.scheduled) {
+      award(r.slackId, 'clean_sweep', `all ${r.scheduled} scheduled chores done on time`);
+    }
+    if (r.helps > 0) {
+      award(r.slackId, 'helper', `took over ${r.helps} chore${r.helps === 1 ? '' : 's'} for roommates`);
+    }
+  });
+
+  // Everyone tied for the most manual pickups gets it
+  const mostManual = Math.max(0, ...roommates.map(r => r.manual));
+  if (mostManual > 0) {
+    roommates
+      .filter(r => r.manual === mostManual)
+      .forEach(r => award(r.slackId, 'manual_hero', `picked up ${mostManual} manual task${mostManual === 1 ? '' : 's'}, the most in the house`));
+  }
+
+  const ordered = settings.order === 'ranked'
+    ? [...roommates].sort((a, b) => b.completed - a.completed || a.name.localeCompare(b.name))
+    : [...roommates].sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    month: label,
+    label: month.format('MMMM YYYY'),
+    order: settings.order,
+    roommates: ordered,
+    badges
+  };
+}
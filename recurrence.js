@@ -0,0 +1,176 @@
+import dayjs from 'dayjs';
+
+// Recurrence for a chore's `due` in config.json. Supported forms:
+//   { weekday: 6, hour: 12, minute: 0 }              every Saturday (legacy)
+//   { weekday: -1, ... }                             manual only (legacy)
+//   { weekdays: [1, 4], hour: 20, minute: 0 }        Monday and Thursday
+//   { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=SA;BYHOUR=10;DTSTART=2025-08-02' }
+//   { rrule: 'FREQ=MONTHLY;BYDAY=1SU;BYHOUR=11' }    first Sunday of the month
+// The rrule form is a subset of RFC 5545: FREQ (WEEKLY or MONTHLY), INTERVAL,
+// BYDAY (with an ordinal like 1SU or -1FR for MONTHLY), BYMONTHDAY, BYHOUR,
+// BYMINUTE and DTSTART (YYYY-MM-DD, anchors INTERVAL). A `due` without a
+// schedule (or with weekday -1) is a manual chore.
+
+const WEEKDAY_CODES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Default anchor for INTERVAL when DTSTART is omitted (a Monday)
+const DEFAULT_DTSTART = '2024-01-01';
+
+function parseRRule(text) {
+  const parts = {};
+  text.split(';').map(p => p.trim()).filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) throw new Error(`Invalid rrule part "${part}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  const freq = (parts.FREQ || '').toLowerCase();
+  if (freq !== 'weekly' && freq !== 'monthly') {
+    throw new Error(`Unsupported FREQ "${parts.FREQ}" (use WEEKLY or MONTHLY)`);
+  }
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map(code => {
+    const match = code.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) throw new Error(`Invalid BYDAY "${code}"`);
+    const nth = match[1] ? Number(match[1]) : null;
+    if (nth !== null && freq !== 'monthly') throw new Error(`BYDAY ordinals like "${code}" need FREQ=MONTHLY`);
+    return { weekday: WEEKDAY_CODES[match[2]], nth };
+  });
+  const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : [];
+
+  if (freq === 'weekly' && byDay.length === 0) throw new Error('FREQ=WEEKLY needs BYDAY');
+  if (freq === 'monthly' && byDay.length === 0 && byMonthDay.length === 0) {
+    throw new Error('FREQ=MONTHLY needs BYDAY or BYMONTHDAY');
+  }
+
+  return {
+    freq,
+    interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+    byDay,
+    byMonthDay,
+    hour: parts.BYHOUR ? Number(parts.BYHOUR) : 0,
+    minute: parts.BYMINUTE ? Number(parts.BYMINUTE) : 0,
+    dtstart: parts.DTSTART || DEFAULT_DTSTART
+  };
+}
+
+// Normalize a chore's `due` into a rule, or null for manual chores.
+// Throws on rules it can't understand so config mistakes surface at startup.
+export function parseRecurrence(due) {
+  if (!due) return null;
+
+  const rule = due.rrule
+    ? parseRRule(due.rrule)
+    : (() => {
+      const weekdays = due.weekdays || (due.weekday === undefined || due.weekday === -1 ? [] : [due.weekday]);
+      if (weekdays.length === 0) return null;
+      return {
+        freq: 'weekly',
+        interval: due.interval || 1,
+        byDay: weekdays.map(weekday => ({ weekday, nth: null })),
+        byMonthDay: [],
+        hour: due.hour,
+        minute: due.minute,
+        dtstart: due.startDate || DEFAULT_DTSTART
+      };
+    })();
+  if (!rule) return null;
+
+  if (rule.byDay.some(d => !(d.weekday >= 0 && d.weekday <= 6))) throw new Error('Weekdays must be 0 (Sun) to 6 (Sat)');
+  if (!(rule.hour >= 0 && rule.hour <= 23) || !(rule.minute >= 0 && rule.minute <= 59)) {
+    throw new Error('Due time needs an hour (0-23) and minute (0-59)');
+  }
+  if (!(rule.interval >= 1) || !dayjs(rule.dtstart).isValid()) throw new Error('Invalid INTERVAL or DTSTART');
+  return rule;
+}
+
+export function isManualChore(chore) {
+  return parseRecurrence(chore.due) === null;
+}
+
+function matchesDay(rule, day) {
+  const anchor = dayjs(rule.dtstart);
+
+  if (rule.freq === 'weekly') {
+    // Compare Monday-based (ISO) weeks so INTERVAL=2 means every other week
+    const weekStart = d => d.subtract((d.day() + 6) % 7, 'day').startOf('day');
+    const weeksSince = Math.round(weekStart(dayjs(day.format('YYYY-MM-DD'))).diff(weekStart(anchor), 'day') / 7);
+    if (((weeksSince % rule.interval) + rule.interval) % rule.interval !== 0) return false;
+    return rule.byDay.some(d => d.weekday === day.day());
+  }
+
+  const monthsSince = (day.year() - anchor.year()) * 12 + (day.month() - anchor.month());
+  if (((monthsSince % rule.interval) + rule.interval) % rule.interval !== 0) return false;
+
+  const date = day.date();
+  const daysInMonth = day.daysInMonth();
+  if (rule.byMonthDay.some(n => (n > 0 ? n === date : daysInMonth + n + 1 === date))) return true;
+  return rule.byDay.some(d => {
+    if (d.weekday !== day.day()) return false;
+    if (d.nth === null) return true;
+    return d.nth > 0
+      ? Math.ceil(date / 7) === d.nth
+      : Math.ceil((daysInMonth - date + 1) / 7) === -d.nth;
+  });
+}
+
+// Occurrences in [start, end), as dayjs objects in `tz`
+export function occurrencesBetween(rule, start, end, tz) {
+  const occurrences = [];
+  if (!rule) return occurrences;
+
+  // Walk calendar days as UTC dates so DST changes can't skip or repeat a day
+  const lastDay = end.tz(tz).format('YYYY-MM-DD');
+  for (let day = dayjs.utc(start.tz(tz).format('YYYY-MM-DD')); day.format('YYYY-MM-DD') <= lastDay; day = day.add(1, 'day')) {
+    if (!matchesDay(rule, day)) continue;
+    const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')}`;
+    const occurrence = dayjs.tz(`${day.format('YYYY-MM-DD')} ${time}`, tz);
+    if (!occurrence.isBefore(start) && occurrence.isBefore(end)) occurrences.push(occurrence);
+  }
+  return occurrences;
+}
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Turn admin input like "sat 12:00", "mon,thu 8pm", "manual" or
+// "rrule:FREQ=MONTHLY;BYDAY=1SU;BYHOUR=11" into a `due` for config
+export function parseDueText(text) {
+  const value = (text || '').trim();
+  if (/^manual$/i.test(value)) return { weekday: -1, hour: -1, minute: -1 };
+
+  if (/^rrule:/i.test(value)) {
+    const due = { rrule: value.slice('rrule:'.length).trim() };
+    parseRecurrence(due);
+    return due;
+  }
+
+  const match = value.toLowerCase().match(/^([a-z,]+)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) throw new Error('Use "sat 12:00", "mon,thu 8pm", "manual" or "rrule:FREQ=..."');
+
+  const weekdays = match[1].split(',').filter(Boolean).map(day =>
+    DAY_NAMES.findIndex(name => name.toLowerCase() === day.slice(0, 3))
+  );
+  if (weekdays.length === 0 || weekdays.includes(-1)) throw new Error(`Unknown day in "${match[1]}"`);
+
+  let hour = Number(match[2]);
+  const minute = Number(match[3] || 0);
+  if (match[4]) {
+    if (hour < 1 || hour > 12) throw new Error(`Invalid time "${value}"`);
+    hour = (hour % 12) + (match[4] === 'pm' ? 12 : 0);
+  }
+
+  const due = weekdays.length === 1 ? { weekday: weekdays[0], hour, minute } : { weekdays, hour, minute };
+  parseRecurrence(due);
+  return due;
+}
+
+// Short description of a `due` for listings, e.g. "Mon, Thu 8:00 PM" or "manual"
+export function describeDue(due) {
+  const rule = parseRecurrence(due);
+  if (!rule) return 'manual';
+  if (due.rrule) return `\`${due.rrule}\``;
+
+  const days = rule.byDay.map(d => DAY_NAMES[d.weekday]).join(', ');
+  const time = dayjs().hour(rule.hour).minute(rule.minute).format('h:mm A');
+  return `${days} ${time}${rule.interval > 1 ? ` (every ${rule.interval} weeks)` : ''}`;
+}
@@ -0,0 +1,58 @@
+// Roommates and chores can be changed at runtime with /chore admin. Those
+// changes live in the database and are layered over config.json, so the file
+// stays the starting point and nothing needs a redeploy.
+
+const KEY_FIELDS = { roommate: 'slackId', chore: 'title' };
+const LIST_FIELDS = { roommate: 'roommates', chore: 'chores' };
+
+// Apply overrides ({ kind, key, settings }) on top of the config from disk.
+// Entries from the file keep their order; added ones go at the end.
+export function applyRosterOverrides(fileConfig, overrides) {
+  const config = { ...fileConfig };
+
+  Object.entries(LIST_FIELDS).forEach(([kind, listField]) => {
+    const keyField = KEY_FIELDS[kind];
+    const changes = new Map();
+    overrides.filter(o => o.kind === kind).forEach(o => changes.set(o.key, o.settings));
+
+    const fromFile = (fileConfig[listField] || [])
+      .map(entry => (changes.has(entry[keyField]) ? changes.get(entry[keyField]) : entry))
+      .filter(Boolean);
+    const fileKeys = new Set((fileConfig[listField] || []).map(entry => entry[keyField]));
+    const added = [...changes.entries()]
+      .filter(([key, settings]) => settings && !fileKeys.has(key))
+      .map(([, settings]) => settings);
+
+    config[listField] = [...fromFile, ...added];
+  });
+
+  return config;
+}
+
+// Split admin input into positional words and key=value options. Quotes
+// (including Slack's curly ones) keep multi-word titles and values together:
+//   chore add "Clean bathroom" due="sat 10:00" weight=2
+// Slack mentions like <@U123|Sam Smith> stay one word.
+export function parseAdminArgs(text) {
+  const positional = [];
+  const options = {};
+  const pattern = /(\w+)=(?:["“”]([^"“”]*)["“”]|(\S+))|["“”]([^"“”]*)["“”]|(<[^>]*>|\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) {
+      options[match[1].toLowerCase()] = match[2] ?? match[3];
+    } else {
+      positional.push(match[4] ?? match[5]);
+    }
+  }
+  return { positional, options };
+}
+
+// "30" or "30,120" -> [30, 120]
+export function parseLeadMinutes(text) {
+  const leads = String(text).split(',').map(Number);
+  if (leads.some(lead => !Number.isInteger(lead) || lead < 0)) {
+    throw new Error(`Invalid reminder lead times "${text}" (use minutes, e.g. 30 or 30,120)`);
+  }
+  return leads;
+}
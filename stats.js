@@ -0,0 +1,116 @@
+import dayjs from 'dayjs';
+
+// Long-term numbers for /chore stats, computed from the full assignment
+// history. Scheduled chores have a due date; manual trash/dishwasher tasks
+// triggered from Slack don't.
+
+export function assigneesOf(h) {
+  return Array.isArray(h.assignedTo) ? h.assignedTo : [h.assignedTo];
+}
+
+export function creditFor(h) {
+  return h.isShared || assigneesOf(h).length > 1 ? 0.5 : 1;
+}
+
+// Whether this person did their part, even if a shared partner hasn't yet.
+// Chores waiting for verification don't count until someone confirms them.
+export function didPart(h, slackId) {
+  if (h.verificationStatus === 'pending') return false;
+  return h.completed || (h.completedBy || []).includes(slackId);
+}
+
+// Scheduled chores can be judged once they're done or past due
+function isSettled(h, slackId, now) {
+  return didPart(h, slackId) || dayjs(h.dueDate).isBefore(now);
+}
+
+// Hours between due and completion; negative when finished early.
+// Null when there's no completion time to compare.
+function hoursLate(h) {
+  if (!h.completed || !h.completedDate || !h.dueDate) return null;
+  return dayjs(h.completedDate).diff(dayjs(h.dueDate), 'hour', true);
+}
+
+export function isOnTime(h, slackId) {
+  if (!didPart(h, slackId)) return false;
+  const late = hoursLate(h);
+  return late === null || late <= 0;
+}
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+export function computeRoommateStats(history, slackId, now, { months = 6 } = {}) {
+  const mine = history.filter(h => assigneesOf(h).includes(slackId));
+  const scheduled = mine
+    .filter(h => h.dueDate && isSettled(h, slackId, now))
+    .sort((a, b) => dayjs(a.dueDate).valueOf() - dayjs(b.dueDate).valueOf());
+  const manual = mine.filter(h => !h.dueDate);
+
+  // Per-chore completion rates
+  const byChore = {};
+  scheduled.forEach(h => {
+    if (!byChore[h.chore]) byChore[h.chore] = { chore: h.chore, assigned: 0, completed: 0 };
+    byChore[h.chore].assigned += 1;
+    if (didPart(h, slackId)) byChore[h.chore].completed += 1;
+  });
+  const perChore = Object.values(byChore)
+    .map(c => ({ ...c, rate: rate(c.completed, c.assigned) }))
+    .sort((a, b) => a.chore.localeCompare(b.chore));
+
+  // Lateness, counting early finishes as on time
+  const lateness = scheduled.map(hoursLate).filter(hours => hours !== null);
+  const lateOnes = lateness.filter(hours => hours > 0);
+
+  // On-time streaks over scheduled chores, oldest first
+  let currentStreak = 0;
+  let bestStreak = 0;
+  scheduled.forEach(h => {
+    currentStreak = isOnTime(h, slackId) ? currentStreak + 1 : 0;
+    bestStreak = Math.max(bestStreak, currentStreak);
+  });
+
+  // Month over month, oldest first, ending with the latest month they had
+  // chores so an old history still shows a trend
+  const latestLabel = mine.map(h => h.month).sort().pop();
+  const lastMonth = latestLabel && latestLabel < now.format('YYYY-[M]MM')
+    ? dayjs(`${latestLabel.replace('M', '')}-01`)
+    : now.startOf('month');
+  const trend = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const month = lastMonth.subtract(i, 'month');
+    const label = month.format('YYYY-[M]MM');
+    const inMonth = mine.filter(h => h.month === label && (!h.dueDate || isSettled(h, slackId, now)));
+    const assigned = inMonth.reduce((sum, h) => sum + creditFor(h), 0);
+    const completed = inMonth.filter(h => didPart(h, slackId)).reduce((sum, h) => sum + creditFor(h), 0);
+    trend.push({ month: month.format('MMM YYYY'), assigned, completed, rate: rate(completed, assigned) });
+  }
+
+  // Manual task pickups, and their share of all manual tasks in the house
+  const houseManual = history.filter(h => !h.dueDate);
+  const manualByChore = {};
+  manual.forEach(h => {
+    manualByChore[h.chore] = (manualByChore[h.chore] || 0) + 1;
+  });
+
+  return {
+    slackId,
+    totalScheduled: scheduled.length,
+    completedScheduled: scheduled.filter(h => didPart(h, slackId)).length,
+    completionRate: rate(scheduled.filter(h => didPart(h, slackId)).length, scheduled.length),
+    onTimeRate: rate(scheduled.filter(h => isOnTime(h, slackId)).length, scheduled.length),
+    averageHoursLate: lateOnes.length > 0 ? lateOnes.reduce((sum, hours) => sum + hours, 0) / lateOnes.length : null,
+    lateCount: lateOnes.length,
+    currentStreak,
+    bestStreak,
+    perChore,
+    trend,
+    manual: {
+      count: manual.length,
+      completed: manual.filter(h => didPart(h, slackId)).length,
+      share: rate(manual.length, houseManual.length),
+      byChore: manualByChore
+    }
+  };
+}